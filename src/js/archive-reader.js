@@ -0,0 +1,737 @@
+/**
+ * Archive Reader - Detects archive containers and exposes their entries
+ * ZIP/CBZ go through JSZip, RAR/CBR and 7z/CB7 through libarchive.js (WebAssembly),
+ * PDF pages are rasterised with pdf.js, unpacked folders are wrapped in the same entry shape
+ */
+
+class ArchiveReader {
+    constructor() {
+        this.libarchiveUrl = 'https://cdn.jsdelivr.net/npm/libarchive.js@2.0.2/dist/';
+        this.libarchive = null;
+        this.pdfjsUrl = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.4.168/build/';
+        this.pdfjs = null;
+        this.archiveExtensions = ['zip', 'cbz', 'rar', 'cbr', '7z', 'cb7'];
+        this.supportedExtensions = [...this.archiveExtensions, 'pdf'];
+        this.pdfResolution = 150; // DPI pages are rendered at (PDF units are 1/72 inch)
+        this.maxPdfPageSide = 8192; // Pixels; keeps huge page sizes from exhausting canvas memory
+
+        // Magic bytes at the start of each container
+        this.signatures = [
+            { format: 'zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+            { format: 'zip', bytes: [0x50, 0x4B, 0x05, 0x06] }, // Empty ZIP
+            { format: 'rar', bytes: [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07] },
+            { format: '7z', bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] },
+            { format: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] } // %PDF-
+        ];
+
+        // Safety limits checked against the archive's directory before extracting,
+        // and against the bytes actually inflated while extracting
+        this.limits = {
+            maxEntries: 10000,
+            maxTotalSize: 2 * 1024 * 1024 * 1024, // 2GB uncompressed
+            maxEntrySize: 100 * 1024 * 1024, // 100MB per entry
+            maxCompressionRatio: 100, // Uncompressed / compressed, whole archive or one entry
+            minRatioCheckSize: 1024 * 1024, // Small entries (JSON, blank pages) may compress very well
+            maxPathLength: 512,
+            maxPathDepth: 16
+        };
+    }
+
+    // ==========================================================================
+    // Format Detection
+    // ==========================================================================
+
+    /**
+     * Detect archive format from the file header
+     */
+    async detectFormat(file) {
+        const header = new Uint8Array(await file.slice(0, 8).arrayBuffer());
+
+        const match = this.signatures.find(signature =>
+            signature.bytes.every((byte, index) => header[index] === byte)
+        );
+
+        return match ? match.format : null;
+    }
+
+    /**
+     * Check if filename has a supported archive extension
+     */
+    hasSupportedExtension(filename) {
+        const ext = filename.toLowerCase().split('.').pop();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Check if filename is a PDF
+     */
+    isPdf(filename) {
+        return /\.pdf$/i.test(filename);
+    }
+
+    // ==========================================================================
+    // Opening Archives
+    // ==========================================================================
+
+    /**
+     * Open an archive and return its entries keyed by path.
+     * Entries follow the JSZip shape: { name, dir, async(type) }
+     */
+    async open(file, options = {}) {
+        const format = await this.detectFormat(file);
+
+        switch (format) {
+            case 'zip':
+                return this.openZip(file);
+            case 'rar':
+            case '7z':
+                return this.openLibarchive(file, format);
+            case 'pdf':
+                return this.openPdf(file, options);
+            default:
+                throw new Error('Unrecognized archive format. Supported: ZIP/CBZ, RAR/CBR, 7z/CB7, PDF');
+        }
+    }
+
+    /**
+     * Open ZIP archive with JSZip, after checking its central directory.
+     * Entries are inflated through a counting stream so an entry that lies
+     * about its size is stopped before it fills memory.
+     * options.limits overrides individual safety limits for this archive.
+     */
+    async openZip(file, options = {}) {
+        const limits = { ...this.limits, ...options.limits };
+        const directory = await this.readZipDirectory(file, limits);
+        const rejected = this.checkEntries(directory, file.size, limits);
+
+        const zip = new JSZip();
+        const zipData = await zip.loadAsync(file);
+
+        const declaredTotal = directory.reduce((sum, entry) => sum + entry.size, 0);
+        const budget = { extracted: 0, declaredTotal: declaredTotal, limits: limits };
+        const listed = new Set(directory.map(entry => entry.name));
+        const files = {};
+
+        for (const [name, zipEntry] of Object.entries(zipData.files)) {
+            // JSZip decodes and cleans up names itself: carry the checks over from the
+            // directory entry it came from, and refuse files that can't be matched
+            const original = zipEntry.unsafeOriginalName || name;
+            if (!zipEntry.dir && !rejected[name]) {
+                if (!listed.has(original)) {
+                    rejected[name] = 'Not found in the archive directory';
+                } else {
+                    const problem = rejected[original] || (original !== name ? this.getPathProblem(original) : null);
+                    if (problem) rejected[name] = problem;
+                }
+            }
+
+            files[name] = {
+                name: name,
+                dir: zipEntry.dir,
+                async: (type) => this.readZipEntry(zipEntry, type, budget)
+            };
+        }
+
+        return {
+            format: 'zip',
+            files: files,
+            rejected: rejected,
+            close: async () => {}
+        };
+    }
+
+    /**
+     * Open RAR or 7z archive with libarchive.js
+     */
+    async openLibarchive(file, format) {
+        const Archive = await this.loadLibarchive();
+        const archive = await Archive.open(file);
+
+        try {
+            if (await archive.hasEncryptedData()) {
+                throw new Error('Password-protected archives are not supported');
+            }
+
+            const files = {};
+            const entries = await archive.getFilesArray();
+            const budget = { extracted: 0, limits: this.limits };
+
+            // libarchive lists uncompressed sizes only, so the ratio is checked for the whole archive
+            const rejected = this.checkEntries(entries.map(({ file: compressedFile, path }) => ({
+                name: path + compressedFile.name,
+                size: compressedFile.size || 0,
+                compressedSize: null
+            })), file.size);
+
+            for (const { file: compressedFile, path } of entries) {
+                const name = path + compressedFile.name;
+                files[name] = {
+                    name: name,
+                    dir: false,
+                    size: compressedFile.size,
+                    async: (type) => this.readCompressedFile(compressedFile, type, budget)
+                };
+            }
+
+            return {
+                format: format,
+                files: files,
+                rejected: rejected,
+                close: () => archive.close()
+            };
+        } catch (error) {
+            await archive.close();
+            throw error;
+        }
+    }
+
+    /**
+     * Extract a libarchive entry as the requested JSZip output type.
+     * libarchive extracts whole entries, so the limits are checked on the result:
+     * listed sizes can lie, and the running total stops an archive that keeps going.
+     */
+    async readCompressedFile(compressedFile, type, budget) {
+        const limits = budget.limits || this.limits;
+        const extracted = await compressedFile.extract();
+
+        if (extracted.size > limits.maxEntrySize) {
+            throw this.createLimitError(
+                `${compressedFile.name} expands past the ${FileUtils.formatSize(limits.maxEntrySize)} per-file limit`);
+        }
+
+        budget.extracted += extracted.size;
+        if (budget.extracted > limits.maxTotalSize) {
+            throw this.createLimitError(
+                `it expands to more than the ${FileUtils.formatSize(limits.maxTotalSize)} allowed`);
+        }
+
+        return this.readFile(extracted, type);
+    }
+
+    /**
+     * Read a File/Blob as the requested JSZip output type
+     */
+    async readFile(file, type) {
+        switch (type) {
+            case 'blob':
+                return file;
+            case 'text':
+                return file.text();
+            case 'arraybuffer':
+                return file.arrayBuffer();
+            default:
+                throw new Error(`Unsupported entry output type: ${type}`);
+        }
+    }
+
+    // ==========================================================================
+    // Archive Safety
+    // ==========================================================================
+
+    /**
+     * Read the ZIP central directory without inflating anything.
+     * Returns [{ name, size, compressedSize, encrypted, method, offset }] (ZIP64 aware),
+     * offset being where the entry's local header starts.
+     */
+    async readZipDirectory(file, limits = this.limits) {
+        const readBytes = async (start, length) =>
+            new DataView(await file.slice(start, start + length).arrayBuffer());
+
+        // End of central directory: 22 bytes plus a comment of up to 64KB
+        const tailLength = Math.min(file.size, 22 + 0xFFFF);
+        const tailStart = file.size - tailLength;
+        const tail = await readBytes(tailStart, tailLength);
+
+        let eocd = -1;
+        for (let i = tailLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054B50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('Corrupt ZIP archive: central directory not found');
+        }
+
+        let entryCount = tail.getUint16(eocd + 10, true);
+        let directorySize = tail.getUint32(eocd + 12, true);
+        let directoryOffset = tail.getUint32(eocd + 16, true);
+
+        // ZIP64: the real values live in the ZIP64 end of central directory record
+        if (entryCount === 0xFFFF || directorySize === 0xFFFFFFFF || directoryOffset === 0xFFFFFFFF) {
+            const locator = eocd - 20;
+            if (locator < 0 || tail.getUint32(locator, true) !== 0x07064B50) {
+                throw new Error('Corrupt ZIP64 archive: directory locator not found');
+            }
+
+            const record = await readBytes(Number(tail.getBigUint64(locator + 8, true)), 56);
+            if (record.getUint32(0, true) !== 0x06064B50) {
+                throw new Error('Corrupt ZIP64 archive: directory record not found');
+            }
+            entryCount = Number(record.getBigUint64(32, true));
+            directorySize = Number(record.getBigUint64(40, true));
+            directoryOffset = Number(record.getBigUint64(48, true));
+        }
+
+        // Refuse before reading a huge directory
+        if (entryCount > limits.maxEntries) {
+            throw this.createLimitError(
+                `it has ${entryCount.toLocaleString()} entries, more than the ${limits.maxEntries.toLocaleString()} allowed`);
+        }
+        if (directoryOffset + directorySize > file.size) {
+            throw new Error('Corrupt ZIP archive: central directory is outside the file');
+        }
+
+        const view = await readBytes(directoryOffset, directorySize);
+        const decoder = new TextDecoder();
+        const entries = [];
+        let offset = 0;
+
+        for (let i = 0; i < entryCount; i++) {
+            if (offset + 46 > directorySize || view.getUint32(offset, true) !== 0x02014B50) {
+                throw new Error('Corrupt ZIP archive: invalid central directory entry');
+            }
+
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            let compressedSize = view.getUint32(offset + 20, true);
+            let size = view.getUint32(offset + 24, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            let headerOffset = view.getUint32(offset + 42, true);
+            let name = decoder.decode(new Uint8Array(view.buffer, offset + 46, nameLength));
+            const isUtf8 = (flags & 0x800) !== 0;
+
+            // ZIP64 extended information: 8-byte sizes for fields that overflowed.
+            // Info-ZIP Unicode Path: the UTF-8 name of entries not flagged as UTF-8
+            let extra = offset + 46 + nameLength;
+            const extraEnd = extra + extraLength;
+            while (extra + 4 <= extraEnd) {
+                const id = view.getUint16(extra, true);
+                const length = view.getUint16(extra + 2, true);
+                if (id === 0x0001) {
+                    let field = extra + 4;
+                    if (size === 0xFFFFFFFF) {
+                        size = Number(view.getBigUint64(field, true));
+                        field += 8;
+                    }
+                    if (compressedSize === 0xFFFFFFFF) {
+                        compressedSize = Number(view.getBigUint64(field, true));
+                        field += 8;
+                    }
+                    if (headerOffset === 0xFFFFFFFF) {
+                        headerOffset = Number(view.getBigUint64(field, true));
+                    }
+                } else if (id === 0x7075 && !isUtf8 && length > 5 && view.getUint8(extra + 4) === 1) {
+                    name = decoder.decode(new Uint8Array(view.buffer, extra + 9, length - 5));
+                }
+                extra += 4 + length;
+            }
+
+            entries.push({
+                name: name,
+                size: size,
+                compressedSize: compressedSize,
+                encrypted: (flags & 0x1) !== 0,
+                method: method,
+                offset: headerOffset
+            });
+            offset = extraEnd + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Enforce entry count, total size and compression ratio limits on an
+     * archive's listing. Whole-archive violations throw an ArchiveLimitError;
+     * oversized or over-compressed entries are returned as { name: reason }
+     * so they are skipped without being inflated.
+     */
+    checkEntries(entries, archiveSize, limits = this.limits) {
+        const formatSize = FileUtils.formatSize;
+        const rejected = {};
+
+        if (entries.length > limits.maxEntries) {
+            throw this.createLimitError(
+                `it has ${entries.length.toLocaleString()} entries, more than the ${limits.maxEntries.toLocaleString()} allowed`);
+        }
+
+        if (entries.some(entry => entry.encrypted)) {
+            throw new Error('Password-protected archives are not supported');
+        }
+
+        let totalSize = 0;
+        for (const entry of entries) {
+            totalSize += entry.size;
+
+            if (entry.size > limits.maxEntrySize) {
+                rejected[entry.name] = `Expands to ${formatSize(entry.size)}, over the ${formatSize(limits.maxEntrySize)} per-file limit`;
+            } else if (entry.compressedSize !== null && entry.size >= limits.minRatioCheckSize &&
+                entry.size > entry.compressedSize * limits.maxCompressionRatio) {
+                const ratio = Math.round(entry.size / Math.max(entry.compressedSize, 1));
+                rejected[entry.name] = `Compressed ${ratio}:1, over the ${limits.maxCompressionRatio}:1 limit (possible zip bomb)`;
+            }
+        }
+
+        if (totalSize > limits.maxTotalSize) {
+            throw this.createLimitError(
+                `it expands to ${formatSize(totalSize)}, more than the ${formatSize(limits.maxTotalSize)} allowed`);
+        }
+
+        if (archiveSize && totalSize >= limits.minRatioCheckSize &&
+            totalSize > archiveSize * limits.maxCompressionRatio) {
+            throw this.createLimitError(
+                `it expands ${Math.round(totalSize / archiveSize)}:1 (${formatSize(archiveSize)} to ${formatSize(totalSize)}), ` +
+                `over the ${limits.maxCompressionRatio}:1 limit (possible zip bomb)`);
+        }
+
+        return rejected;
+    }
+
+    /**
+     * Describe why an entry path is unsafe to import, or null if it is fine
+     */
+    getPathProblem(path) {
+        if (path.length > this.limits.maxPathLength) {
+            return `Path too long (${path.length} characters, limit ${this.limits.maxPathLength})`;
+        }
+
+        const segments = path.split(/[\\/]/).filter(Boolean);
+        if (segments.length > this.limits.maxPathDepth) {
+            return `Path too deep (${segments.length} levels, limit ${this.limits.maxPathDepth})`;
+        }
+
+        if (/^([\\/]|[a-z]:)/i.test(path) || segments.includes('..')) {
+            return 'Unsafe path (absolute or leaves the archive folder)';
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if an entry is itself an archive (never extracted)
+     */
+    isNestedArchive(path) {
+        return this.archiveExtensions.includes(path.toLowerCase().split('.').pop()) ||
+            /\.(tar|gz|tgz|bz2|xz|lz|lzma|zst)$/i.test(path);
+    }
+
+    /**
+     * Inflate a JSZip entry, counting bytes as they come out.
+     * Stops when the entry passes the per-file limit or the archive produces
+     * more than its directory declared.
+     */
+    readZipEntry(zipEntry, type, budget) {
+        const limits = budget.limits || this.limits;
+
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let entrySize = 0;
+            let failed = false;
+
+            const stream = zipEntry.internalStream('uint8array');
+            stream
+                .on('data', (chunk) => {
+                    if (failed) return;
+
+                    entrySize += chunk.length;
+                    budget.extracted += chunk.length;
+
+                    let error = null;
+                    if (entrySize > limits.maxEntrySize) {
+                        error = `${zipEntry.name} expands past the ${FileUtils.formatSize(limits.maxEntrySize)} per-file limit`;
+                    } else if (budget.extracted > Math.min(budget.declaredTotal, limits.maxTotalSize)) {
+                        error = 'it expands to more data than its directory declares (possible zip bomb)';
+                    }
+
+                    if (error) {
+                        failed = true;
+                        stream.pause();
+                        reject(this.createLimitError(error));
+                        return;
+                    }
+                    chunks.push(chunk);
+                })
+                .on('error', (error) => {
+                    if (!failed) reject(error);
+                })
+                .on('end', () => {
+                    if (failed) return;
+                    try {
+                        resolve(this.joinChunks(chunks, entrySize, type));
+                    } catch (error) {
+                        reject(error);
+                    }
+                })
+                .resume();
+        });
+    }
+
+    /**
+     * Convert inflated chunks to the requested JSZip output type
+     */
+    joinChunks(chunks, size, type) {
+        if (type === 'blob') {
+            return new Blob(chunks);
+        }
+
+        const bytes = new Uint8Array(size);
+        let offset = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        switch (type) {
+            case 'text':
+                return new TextDecoder().decode(bytes);
+            case 'arraybuffer':
+                return bytes.buffer;
+            default:
+                throw new Error(`Unsupported entry output type: ${type}`);
+        }
+    }
+
+    /**
+     * Error for an archive that breaks a safety limit; aborts the whole import
+     */
+    createLimitError(message) {
+        const error = new Error(`Archive rejected: ${message}`);
+        error.name = 'ArchiveLimitError';
+        return error;
+    }
+
+    /**
+     * Check if an error came from a safety limit
+     */
+    static isLimitError(error) {
+        return !!error && error.name === 'ArchiveLimitError';
+    }
+
+    // ==========================================================================
+    // PDF Documents
+    // ==========================================================================
+
+    /**
+     * Open a PDF as one entry per page: 0001.png, 0002.png, ...
+     * Pages are rendered when read, at options.resolution DPI.
+     * options.folder puts the pages under a folder (for PDFs inside a folder import).
+     */
+    async openPdf(file, options = {}) {
+        const pdfjs = await this.loadPdfjs();
+        const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+
+        try {
+            if (pdf.numPages > this.limits.maxEntries) {
+                throw this.createLimitError(
+                    `it has ${pdf.numPages.toLocaleString()} pages, more than the ${this.limits.maxEntries.toLocaleString()} allowed`);
+            }
+
+            const resolution = options.resolution || this.pdfResolution;
+            const prefix = options.folder ? `${options.folder}/` : '';
+            const digits = Math.max(4, String(pdf.numPages).length);
+            const files = {};
+
+            for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                const name = `${prefix}${String(pageNumber).padStart(digits, '0')}.png`;
+                files[name] = {
+                    name: name,
+                    dir: false,
+                    async: async (type) => this.readFile(await this.renderPdfPage(pdf, pageNumber, resolution), type)
+                };
+            }
+
+            console.log(`Opened PDF ${file.name}: ${pdf.numPages} pages at ${resolution} DPI`);
+
+            return {
+                format: 'pdf',
+                files: files,
+                rejected: {},
+                close: () => pdf.destroy()
+            };
+        } catch (error) {
+            await pdf.destroy();
+            throw error;
+        }
+    }
+
+    /**
+     * Render one PDF page to a PNG blob
+     */
+    async renderPdfPage(pdf, pageNumber, resolution) {
+        const page = await pdf.getPage(pageNumber);
+
+        try {
+            // Scale down pages that would exceed the canvas size limit at this resolution
+            const size = page.getViewport({ scale: 1 });
+            const scale = Math.min(resolution / 72, this.maxPdfPageSide / Math.max(size.width, size.height));
+            const viewport = page.getViewport({ scale: scale });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(viewport.width);
+            canvas.height = Math.ceil(viewport.height);
+
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: context, viewport: viewport }).promise;
+
+            const blob = await new Promise((resolve, reject) => {
+                canvas.toBlob(result => result ?
+                    resolve(result) :
+                    reject(new Error(`Failed to render PDF page ${pageNumber}`)), 'image/png');
+            });
+
+            // Release the pixel buffer right away rather than at GC
+            canvas.width = 0;
+            canvas.height = 0;
+            return blob;
+        } finally {
+            page.cleanup();
+        }
+    }
+
+    /**
+     * Lazily load pdf.js from the CDN
+     */
+    async loadPdfjs() {
+        if (this.pdfjs) return this.pdfjs;
+
+        const pdfjsModule = await import(this.pdfjsUrl + 'pdf.min.mjs');
+
+        // Workers must be same-origin, so bootstrap the CDN worker from a blob module
+        const bootstrap = new Blob([`import '${this.pdfjsUrl}pdf.worker.min.mjs';`], { type: 'text/javascript' });
+        pdfjsModule.GlobalWorkerOptions.workerPort = new Worker(URL.createObjectURL(bootstrap), { type: 'module' });
+
+        this.pdfjs = pdfjsModule;
+        return this.pdfjs;
+    }
+
+    // ==========================================================================
+    // Unpacked Folders
+    // ==========================================================================
+
+    /**
+     * Wrap a list of { path, file } items as archive entries.
+     * PDFs in the folder are expanded into their rendered pages, next to the
+     * PDF when it is the only one in its folder, otherwise under its own name.
+     */
+    async openFolder(folderFiles, options = {}) {
+        const pdfItems = folderFiles.filter(({ path }) => this.isPdf(path));
+        const otherItems = folderFiles.filter(({ path }) => !this.isPdf(path));
+
+        const rejected = this.checkEntries(otherItems.map(({ path, file }) => ({
+            name: path,
+            size: file.size,
+            compressedSize: null
+        })), null);
+        const files = {};
+        const documents = [];
+
+        for (const { path, file } of otherItems) {
+            files[path] = {
+                name: path,
+                dir: false,
+                size: file.size,
+                async: (type) => this.readFile(file, type)
+            };
+        }
+
+        try {
+            for (const { path, file } of pdfItems) {
+                const directory = FileUtils.getDirectory(path);
+                const shared = pdfItems.filter(item => FileUtils.getDirectory(item.path) === directory).length > 1;
+                const folder = shared ?
+                    [directory, path.split('/').pop().replace(/\.pdf$/i, '')].filter(Boolean).join('/') :
+                    directory;
+
+                const pdfArchive = await this.openPdf(file, { ...options, folder: folder });
+                documents.push(pdfArchive);
+                Object.assign(files, pdfArchive.files);
+            }
+        } catch (error) {
+            await Promise.all(documents.map(document => document.close()));
+            throw error;
+        }
+
+        return {
+            format: 'folder',
+            files: files,
+            rejected: rejected,
+            close: async () => {
+                await Promise.all(documents.map(document => document.close()));
+            }
+        };
+    }
+
+    /**
+     * Convert a FileList from a directory picker into { path, file } items
+     */
+    fromFileList(fileList) {
+        return Array.from(fileList).map(file => ({
+            path: file.webkitRelativePath || file.name,
+            file: file
+        }));
+    }
+
+    /**
+     * Walk a dropped directory tree (FileSystemDirectoryEntry) into { path, file } items
+     */
+    async collectDirectory(directoryEntry) {
+        const results = [];
+
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                // fullPath starts with a slash: "/vol1/001.jpg"
+                results.push({ path: entry.fullPath.replace(/^\//, ''), file: file });
+                return;
+            }
+
+            const reader = entry.createReader();
+
+            // readEntries returns results in batches until it yields an empty list
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await walk(child);
+                }
+            } while (batch.length > 0);
+        };
+
+        await walk(directoryEntry);
+        return results;
+    }
+
+    /**
+     * Lazily load libarchive.js from the CDN
+     */
+    async loadLibarchive() {
+        if (this.libarchive) return this.libarchive;
+
+        const libarchiveModule = await import(this.libarchiveUrl + 'libarchive.js');
+        const workerUrl = this.libarchiveUrl + 'worker-bundle.js';
+
+        libarchiveModule.Archive.init({
+            getWorker: () => {
+                // Workers must be same-origin, so bootstrap the CDN bundle from a blob module
+                const bootstrap = new Blob([`import '${workerUrl}';`], { type: 'text/javascript' });
+                return new Worker(URL.createObjectURL(bootstrap), { type: 'module' });
+            }
+        });
+
+        this.libarchive = libarchiveModule.Archive;
+        return this.libarchive;
+    }
+}
+
+// Create global instance
+const archiveReader = new ArchiveReader();
+
+// Export for module systems if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArchiveReader;
+}
@@ -1,5 +1,5 @@
 /**
- * File Manager - Handles ZIP file uploads, extraction, and file matching
+ * File Manager - Handles archive uploads, extraction, and file matching
  * Processes manga images and translation JSON files
  */
 
@@ -8,47 +8,134 @@ class FileManager {
         this.currentFiles = {
             images: [],
             translations: [],
-            matched: []
+            matched: [],
+            structure: null
         };
-        this.supportedImageTypes = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+        this.supportedImageTypes = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'jxl', 'bmp', 'tif', 'tiff'];
         this.maxFileSize = 100 * 1024 * 1024; // 100MB limit
+        this.maxImageSize = 50 * 1024 * 1024; // 50MB per image
+        this.verifyImages = true; // Decode common formats on import to catch corrupt pages
+        this.maxRevisions = 5; // Translation revisions kept per series for rollback
         this.processing = false;
+        
+        // Extraction runs in a worker when available (see import-worker.js)
+        this.useWorker = true;
+        this.workerUrl = 'src/js/import-worker.js?v=20261019';
+        this.activeWorker = null;
+        this.importController = null;
+        this.concurrency = 4; // Entries extracted in parallel
+        this.pdfResolution = 150; // DPI PDF pages are rasterised at
+
+        // Optional re-encoding of pages on import (format null keeps the originals)
+        this.transcode = { format: null, quality: 0.8, maxHeight: null };
+        this.transcodeFormats = { webp: 'image/webp', avif: 'image/avif' };
+        this.metadataSources = {}; // ComicInfo.xml / .mokuro metadata found during extraction
+
+        // page01.en.json / page01.pt-br.json: language or variant layers of page01
+        this.languageSuffixPattern = /\.([a-z]{2}(?:[-_][a-z0-9]{2,8})*)$/i;
+
+        // Converters for non-mokuro translation JSON (see translation-adapters.js)
+        this.translationAdapters = typeof TranslationAdapters !== 'undefined' ?
+            [
+                TranslationAdapters.ballonsTranslator,
+                TranslationAdapters.imageTrans,
+                TranslationAdapters.mangaImageTranslator,
+                TranslationAdapters.boxTextList
+            ] : [];
     }
 
     // ==========================================================================
-    // ZIP File Processing
+    // Archive Processing
     // ==========================================================================
 
     /**
-     * Process uploaded ZIP file
+     * Process uploaded archive (ZIP/CBZ, RAR/CBR, 7z/CB7 or PDF)
+     * Pass options.signal (AbortSignal) to make the import cancellable
+     */
+    async processZipFile(file, progressCallback = null, options = {}) {
+        // PDF pages are rendered on a DOM canvas, so PDFs stay on the main thread.
+        // open() picks the format by magic bytes, so a PDF under another name counts too
+        const isPdf = archiveReader.isPdf(file?.name || '') ||
+            (file instanceof Blob && await archiveReader.detectFormat(file) === 'pdf');
+
+        if (this.canUseWorker() && !isPdf) {
+            this.validateZipFile(file);
+            return this.runInWorker({ kind: 'archive', file }, progressCallback, options);
+        }
+
+        return this.runImport(async () => {
+            // Validate file
+            this.validateZipFile(file);
+
+            if (progressCallback) progressCallback(10, 'Reading archive...');
+
+            // Detect container by magic bytes and load it
+            return archiveReader.open(file, { resolution: this.pdfResolution });
+        }, file?.size || 0, progressCallback, options);
+    }
+
+    /**
+     * Process an unpacked folder given as { path, file } items
      */
-    async processZipFile(file, progressCallback = null) {
+    async processFolder(folderFiles, progressCallback = null, options = {}) {
+        const totalSize = (folderFiles || []).reduce((sum, item) => sum + item.file.size, 0);
+
+        const hasPdf = (folderFiles || []).some(item => archiveReader.isPdf(item.path));
+
+        if (this.canUseWorker() && folderFiles && folderFiles.length > 0 && !hasPdf) {
+            return this.runInWorker({ kind: 'folder', files: folderFiles }, progressCallback, options);
+        }
+
+        return this.runImport(async () => {
+            if (!folderFiles || folderFiles.length === 0) {
+                throw new Error('Folder is empty');
+            }
+
+            if (progressCallback) progressCallback(10, 'Reading folder...');
+
+            return archiveReader.openFolder(folderFiles, { resolution: this.pdfResolution });
+        }, totalSize, progressCallback, options);
+    }
+
+    /**
+     * Shared import pipeline: open source, extract, match and validate
+     */
+    async runImport(openSource, totalSize, progressCallback = null, options = {}) {
         if (this.processing) {
             throw new Error('Already processing a file');
         }
 
         this.processing = true;
-        this.currentFiles = { images: [], translations: [], matched: [] };
+        this.currentFiles = {
+            images: [], translations: [], matched: [], structure: null,
+            thumbnail: null, contentHash: null, report: this.createReport(), metadata: null
+        };
+        this.metadataSources = {};
+        const signal = this.createImportSignal(options.signal);
+        let archive = null;
 
         try {
-            // Validate file
-            this.validateZipFile(file);
-            
-            if (progressCallback) progressCallback(10, 'Reading ZIP file...');
-
-            // Load ZIP file
-            const zip = new JSZip();
-            const zipData = await zip.loadAsync(file);
+            this.throwIfAborted(signal);
+            archive = await openSource();
+            this.throwIfAborted(signal);
             
             if (progressCallback) progressCallback(30, 'Extracting files...');
 
             // Extract files
-            await this.extractFiles(zipData, progressCallback);
+            await this.extractFiles(archive, progressCallback, signal);
+            this.currentFiles.metadata = this.buildMetadata();
+
+            // Translation-only package: matched against a stored series later
+            if (this.currentFiles.images.length === 0) {
+                if (progressCallback) progressCallback(100, 'Translations loaded!');
+                return this.buildTranslationOnlyResult(totalSize);
+            }
             
             if (progressCallback) progressCallback(80, 'Matching files...');
 
             // Match images to translations
             this.matchFiles();
+            this.finalizeReport();
             
             if (progressCallback) progressCallback(90, 'Validating structure...');
 
@@ -58,6 +145,16 @@ class FileManager {
                 throw new Error(validation.error);
             }
 
+            // Cover thumbnail for the library view
+            this.currentFiles.thumbnail = await this.generateThumbnail(this.currentFiles.matched[0].image.blob);
+            this.throwIfAborted(signal);
+
+            if (progressCallback) progressCallback(95, 'Fingerprinting pages...');
+
+            // Content hash for duplicate detection
+            this.currentFiles.contentHash = await this.computeContentHash(this.currentFiles.images);
+            this.throwIfAborted(signal);
+
             if (progressCallback) progressCallback(100, 'Processing complete!');
 
             return {
@@ -65,32 +162,206 @@ class FileManager {
                 images: this.currentFiles.images,
                 translations: this.currentFiles.translations,
                 matched: this.currentFiles.matched,
-                stats: {
-                    imageCount: this.currentFiles.images.length,
-                    translationCount: this.currentFiles.translations.length,
-                    matchedCount: this.currentFiles.matched.length,
-                    totalSize: file.size
-                }
+                structure: this.currentFiles.structure,
+                thumbnail: this.currentFiles.thumbnail,
+                contentHash: this.currentFiles.contentHash,
+                report: this.currentFiles.report,
+                metadata: this.currentFiles.metadata,
+                stats: this.buildStats(this.currentFiles, totalSize)
             };
 
         } catch (error) {
-            console.error('ZIP processing error:', error);
+            if (FileManager.isAbortError(error)) {
+                // Drop whatever was extracted before the cancel
+                this.currentFiles = { images: [], translations: [], matched: [], structure: null };
+                console.log('Import cancelled');
+            } else {
+                console.error('Archive processing error:', error);
+            }
             throw error;
         } finally {
+            if (archive) {
+                await archive.close();
+            }
+            this.importController = null;
             this.processing = false;
         }
     }
 
+    // ==========================================================================
+    // Cancellation
+    // ==========================================================================
+
+    /**
+     * Create the controller for the current import, following an optional external signal
+     */
+    createImportSignal(externalSignal = null) {
+        const controller = new AbortController();
+
+        if (externalSignal) {
+            if (externalSignal.aborted) {
+                controller.abort();
+            } else {
+                externalSignal.addEventListener('abort', () => controller.abort(), { once: true });
+            }
+        }
+
+        this.importController = controller;
+        return controller.signal;
+    }
+
+    /**
+     * Cancel the running import (worker or main thread)
+     */
+    cancel() {
+        if (!this.importController) return false;
+
+        this.importController.abort();
+        return true;
+    }
+
+    /**
+     * Throw an AbortError if the signal has been aborted
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw FileManager.createAbortError();
+        }
+    }
+
+    /**
+     * Error raised when an import or store is cancelled
+     */
+    static createAbortError(message = 'Import cancelled') {
+        return new DOMException(message, 'AbortError');
+    }
+
+    /**
+     * Check if an error came from a cancellation
+     */
+    static isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    // ==========================================================================
+    // Worker Delegation
+    // ==========================================================================
+
+    /**
+     * Check if imports should be delegated to a worker (main thread only)
+     */
+    canUseWorker() {
+        return this.useWorker &&
+               typeof window !== 'undefined' &&
+               typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Run an import in the background worker, keeping the promise-plus-progress contract
+     */
+    async runInWorker(source, progressCallback = null, options = {}) {
+        if (this.processing) {
+            throw new Error('Already processing a file');
+        }
+
+        if (options.signal && options.signal.aborted) {
+            throw FileManager.createAbortError();
+        }
+
+        let worker;
+        try {
+            worker = new Worker(this.workerUrl);
+        } catch (error) {
+            // Workers unavailable (e.g. file:// pages): process on the main thread
+            console.warn('Import worker unavailable, processing on main thread:', error);
+            this.useWorker = false;
+            return source.kind === 'folder' ?
+                this.processFolder(source.files, progressCallback, options) :
+                this.processZipFile(source.file, progressCallback, options);
+        }
+
+        this.processing = true;
+        this.activeWorker = worker;
+        const signal = this.createImportSignal(options.signal);
+
+        return new Promise((resolve, reject) => {
+            // Terminating the worker stops extraction immediately
+            signal.addEventListener('abort', () => {
+                if (this.activeWorker !== worker) return; // Already settled
+
+                this.finishWorker();
+                this.currentFiles = { images: [], translations: [], matched: [], structure: null };
+                console.log('Import cancelled');
+                reject(FileManager.createAbortError());
+            }, { once: true });
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+
+                switch (message.type) {
+                    case 'progress':
+                        if (progressCallback) {
+                            progressCallback(message.progress, message.message, message.details);
+                        }
+                        break;
+                    case 'result':
+                        this.finishWorker();
+                        this.currentFiles = {
+                            images: message.result.images,
+                            translations: message.result.translations,
+                            matched: message.result.matched,
+                            structure: message.result.structure,
+                            thumbnail: message.result.thumbnail,
+                            contentHash: message.result.contentHash,
+                            report: message.result.report,
+                            metadata: message.result.metadata
+                        };
+                        resolve(message.result);
+                        break;
+                    case 'error':
+                        this.finishWorker();
+                        reject(new Error(message.message));
+                        break;
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                this.finishWorker();
+                reject(new Error(event.message || 'Import worker failed'));
+            };
+
+            worker.postMessage({
+                type: 'start',
+                source: source,
+                options: { concurrency: this.concurrency, transcode: this.transcode }
+            });
+        });
+    }
+
+    /**
+     * Tear down the active worker and reset processing state
+     */
+    finishWorker() {
+        if (this.activeWorker) {
+            this.activeWorker.terminate();
+        }
+
+        this.activeWorker = null;
+        this.importController = null;
+        this.processing = false;
+    }
+
     /**
-     * Validate ZIP file before processing
+     * Validate archive file before processing
      */
     validateZipFile(file) {
         if (!file) {
             throw new Error('No file provided');
         }
 
-        if (file.type !== 'application/zip' && !file.name.toLowerCase().endsWith('.zip')) {
-            throw new Error('Please upload a ZIP file');
+        if (file.type !== 'application/zip' && !archiveReader.hasSupportedExtension(file.name)) {
+            throw new Error('Please upload a ZIP, CBZ, CBR, CB7 or PDF file');
         }
 
         if (file.size > this.maxFileSize) {
@@ -98,252 +369,1509 @@ class FileManager {
         }
 
         if (file.size === 0) {
-            throw new Error('ZIP file appears to be empty');
+            throw new Error('Archive file appears to be empty');
         }
     }
 
     /**
-     * Extract files from ZIP
+     * Extract files from an opened archive
      */
-    async extractFiles(zipData, progressCallback = null) {
-        const files = Object.keys(zipData.files);
-        const totalFiles = files.length;
-        let processedFiles = 0;
+    async extractFiles(archive, progressCallback = null, signal = null) {
+        const files = Object.keys(archive.files);
 
-        if (totalFiles === 0) {
-            throw new Error('ZIP file contains no files');
+        if (files.length === 0) {
+            throw new Error('Archive contains no files');
         }
 
-        for (const filename of files) {
-            const zipEntry = zipData.files[filename];
-            
-            // Skip directories
-            if (zipEntry.dir) {
-                continue;
-            }
+        // Skip directories, hidden files, system files and entries that break
+        // the archive safety limits up front (see ArchiveReader.checkEntries)
+        const entries = files.filter(filename => {
+            if (archive.files[filename].dir) return false;
 
-            // Skip hidden files and system files
-            if (this.shouldSkipFile(filename)) {
-                continue;
+            const skipReason = archive.rejected?.[filename] ||
+                archiveReader.getPathProblem(filename) ||
+                this.getSkipReason(filename);
+            if (skipReason) {
+                this.recordSkipped(filename, skipReason);
+                return false;
             }
+            return true;
+        });
+        const totalFiles = entries.length;
+        let processedFiles = 0;
+        let nextIndex = 0;
 
-            try {
-                // Process based on file type
-                if (FileUtils.isImage(filename)) {
-                    await this.processImageFile(filename, zipEntry);
-                } else if (FileUtils.isJSON(filename)) {
-                    await this.processJSONFile(filename, zipEntry);
+        // Pool of concurrent extractors pulling from the shared entry list
+        const runExtractor = async () => {
+            while (nextIndex < entries.length) {
+                this.throwIfAborted(signal);
+
+                const filename = entries[nextIndex++];
+                await this.processEntry(filename, archive.files[filename]);
+
+                processedFiles++;
+                
+                // Update progress
+                if (progressCallback) {
+                    const fileProgress = Math.floor((processedFiles / totalFiles) * 40); // 40% of total progress
+                    progressCallback(30 + fileProgress, `Processing ${filename}...`, {
+                        stage: 'extract',
+                        processed: processedFiles,
+                        total: totalFiles
+                    });
                 }
-            } catch (error) {
-                console.warn(`Error processing file ${filename}:`, error);
-                // Continue processing other files
             }
+        };
 
-            processedFiles++;
-            
-            // Update progress
-            if (progressCallback && totalFiles > 0) {
-                const fileProgress = Math.floor((processedFiles / totalFiles) * 40); // 40% of total progress
-                progressCallback(30 + fileProgress, `Processing ${filename}...`);
-            }
+        const extractorCount = Math.max(1, Math.min(this.concurrency, totalFiles));
+        await Promise.all(Array.from({ length: extractorCount }, runExtractor));
+        this.throwIfAborted(signal);
+
+        if (this.currentFiles.images.length === 0 && this.currentFiles.translations.length === 0) {
+            throw new Error('No valid image files found in archive');
         }
+    }
+
+    /**
+     * Process a single archive entry based on its file type
+     */
+    async processEntry(filename, entry) {
+        try {
+            if (FileUtils.isImage(filename)) {
+                await this.processImageFile(filename, entry);
+            } else if (this.isComicInfo(filename)) {
+                await this.processComicInfo(filename, entry);
+            } else if (FileUtils.isJSON(filename) || FileUtils.isMokuroVolume(filename)) {
+                await this.processJSONFile(filename, entry);
+            }
+        } catch (error) {
+            // A safety limit means the archive is hostile: stop the whole import
+            if (ArchiveReader.isLimitError(error)) throw error;
 
-        if (this.currentFiles.images.length === 0) {
-            throw new Error('No valid image files found in ZIP');
+            console.warn(`Error processing file ${filename}:`, error);
+            this.recordSkipped(filename, error.message || 'Failed to read file');
+            // Continue processing other files
         }
     }
 
     /**
-     * Process image file from ZIP
+     * Process image file from archive
      */
-    async processImageFile(filename, zipEntry) {
-        const blob = await zipEntry.async('blob');
+    async processImageFile(filename, entry) {
+        const rawBlob = await entry.async('blob');
         
         // Validate image
-        if (!this.isValidImage(blob)) {
-            throw new Error(`Invalid image file: ${filename}`);
+        const imageError = this.getImageError(rawBlob);
+        if (imageError) {
+            throw new Error(imageError);
+        }
+
+        // Identify the real format from its header; archive blobs carry no MIME type
+        const info = await imageSniffer.inspect(rawBlob);
+        if (info.error) {
+            throw new Error(info.error);
+        }
+        if (info.warning) {
+            console.warn(`${filename}: ${info.warning}`);
+        }
+
+        const blob = rawBlob.type === info.mime ? rawBlob : rawBlob.slice(0, rawBlob.size, info.mime);
+
+        if (this.verifyImages) {
+            const decodeError = await imageSniffer.verifyDecode(blob, info.format);
+            if (decodeError) {
+                throw new Error(decodeError);
+            }
         }
 
         const imageData = {
             filename: this.cleanFilename(filename),
+            path: filename,
             blob: blob,
             size: blob.size,
+            format: info.format,
             type: 'image',
             baseName: FileUtils.getBaseName(filename)
         };
 
+        if (this.transcode.format) {
+            await this.transcodeImage(imageData);
+        }
+
         this.currentFiles.images.push(imageData);
     }
 
     /**
-     * Process JSON file from ZIP
+     * Process JSON file from archive
      */
-    async processJSONFile(filename, zipEntry) {
-        const textContent = await zipEntry.async('text');
+    async processJSONFile(filename, entry) {
+        const textContent = await entry.async('text');
+        let jsonData;
         
         try {
-            const jsonData = JSON.parse(textContent);
-            
-            // Validate mokuro JSON structure
-            if (!this.isValidMokuroJSON(jsonData)) {
-                console.warn(`Invalid mokuro JSON structure: ${filename}`);
-                return; // Skip invalid JSONs silently
-            }
-
-            const translationData = {
-                filename: this.cleanFilename(filename),
-                data: jsonData,
-                size: textContent.length,
-                type: 'translation',
-                baseName: FileUtils.getBaseName(filename)
-            };
-
-            this.currentFiles.translations.push(translationData);
-            
+            jsonData = JSON.parse(textContent);
         } catch (error) {
             console.warn(`Failed to parse JSON file ${filename}:`, error);
-            // Skip malformed JSONs silently as per requirements
+            this.recordSkipped(filename, `Invalid JSON: ${error.message}`);
+            return;
         }
-    }
-
-    // ==========================================================================
-    // File Matching
-    // ==========================================================================
 
-    /**
-     * Match images to their corresponding translation files
-     */
-    matchFiles() {
-        const matched = [];
+        // Single-file volume: split into per-page translation records
+        if (this.isMokuroVolume(jsonData)) {
+            this.processMokuroVolume(filename, jsonData);
+            this.collectMokuroMetadata(jsonData);
+            return;
+        }
         
-        // Sort images for consistent ordering
-        this.currentFiles.images.sort((a, b) => 
-            this.naturalSort(a.filename, b.filename)
-        );
+        // Validate mokuro JSON structure
+        const validation = this.validateMokuroJSON(jsonData);
+        if (!validation.valid) {
+            // Other tools' formats are converted to mokuro pages
+            const adapter = this.findTranslationAdapter(jsonData);
+            if (adapter) {
+                this.processAdaptedTranslation(filename, jsonData, adapter);
+                return;
+            }
 
-        for (const image of this.currentFiles.images) {
-            const matchingTranslation = this.findMatchingTranslation(image);
-            
-            matched.push({
-                image: image,
-                translation: matchingTranslation,
-                hasTranslation: !!matchingTranslation,
-                pageIndex: matched.length
-            });
+            console.warn(`Invalid mokuro JSON structure: ${filename} (${validation.error})`);
+            this.recordSkipped(filename, `Not a mokuro page: ${validation.error}`);
+            return;
         }
 
-        this.currentFiles.matched = matched;
+        const { baseName, language } = this.splitLanguageSuffix(FileUtils.getBaseName(filename));
+        const translationData = {
+            filename: this.cleanFilename(filename),
+            path: filename,
+            data: jsonData,
+            size: textContent.length,
+            type: 'translation',
+            baseName: baseName,
+            language: language,
+            format: 'mokuro'
+        };
+
+        this.currentFiles.translations.push(translationData);
     }
 
     /**
-     * Find matching translation for an image
+     * Split a .mokuro volume into per-page translation records.
+     * Page img_path is relative to the folder named after the volume,
+     * which sits next to the .mokuro file.
      */
-    findMatchingTranslation(image) {
-        if (!image || !image.baseName) return null;
+    processMokuroVolume(filename, volumeData) {
+        const { baseName: volumeFolder, language } = this.splitLanguageSuffix(FileUtils.getBaseName(filename));
+        let pageCount = 0;
 
-        // Direct base name match (mokuro standard)
-        const exactMatch = this.currentFiles.translations.find(trans => 
-            trans.baseName === image.baseName
-        );
-        
-        if (exactMatch) return exactMatch;
+        volumeData.pages.forEach((page, index) => {
+            const pageData = { version: volumeData.version, ...page };
+            const validation = page.img_path ?
+                this.validateMokuroPage(pageData) :
+                { valid: false, error: "missing 'img_path'" };
 
-        // Fallback: try fuzzy matching for edge cases
-        const fuzzyMatch = this.currentFiles.translations.find(trans => {
-            const imageBase = this.normalizeFilename(image.baseName);
-            const transBase = this.normalizeFilename(trans.baseName);
-            return imageBase === transBase;
+            if (!validation.valid) {
+                console.warn(`Invalid page ${index} in mokuro volume: ${filename} (${validation.error})`);
+                this.recordSkipped(`${filename}#${index}`, `Invalid volume page: ${validation.error}`);
+                return;
+            }
+
+            const imgPath = page.img_path.replace(/\\/g, '/');
+            const resolvedPath = `${volumeFolder}/${imgPath}`;
+
+            this.currentFiles.translations.push({
+                filename: `${this.cleanFilename(filename)}#${index}`,
+                path: `${filename}#${index}`,
+                data: pageData,
+                size: JSON.stringify(page).length,
+                type: 'translation',
+                baseName: FileUtils.getBaseName(resolvedPath),
+                language: language,
+                imgPath: imgPath,
+                resolvedPath: resolvedPath
+            });
+            pageCount++;
         });
 
-        return fuzzyMatch || null;
+        console.log(`Loaded ${pageCount} pages from mokuro volume: ${filename}`);
     }
 
     // ==========================================================================
-    // Validation
+    // Translation Adapters
     // ==========================================================================
 
     /**
-     * Validate file structure after processing
+     * Add a converter for another translation JSON format.
+     * Adapters registered later are tried first.
      */
-    validateFileStructure() {
-        const { images, translations, matched } = this.currentFiles;
-
-        if (images.length === 0) {
-            return { valid: false, error: 'No image files found' };
+    registerTranslationAdapter(adapter) {
+        if (!adapter || !adapter.name || typeof adapter.detect !== 'function' || typeof adapter.convert !== 'function') {
+            throw new Error('Translation adapter needs a name, detect() and convert()');
         }
 
-        if (matched.length === 0) {
-            return { valid: false, error: 'No pages could be processed' };
+        this.translationAdapters = [
+            adapter,
+            ...this.translationAdapters.filter(existing => existing.name !== adapter.name)
+        ];
+    }
+
+    /**
+     * Find the adapter that recognizes this JSON, or null
+     */
+    findTranslationAdapter(data) {
+        return this.translationAdapters.find(adapter => {
+            try {
+                return adapter.detect(data);
+            } catch (error) {
+                return false;
+            }
+        }) || null;
+    }
+
+    /**
+     * Convert a non-mokuro translation file into mokuro page records.
+     * Multi-page formats name their images, which resolve relative to the
+     * JSON file's folder; single-page formats match by file name.
+     */
+    processAdaptedTranslation(filename, jsonData, adapter) {
+        let pages;
+        try {
+            pages = adapter.convert(jsonData);
+        } catch (error) {
+            console.warn(`Failed to convert ${adapter.label} file ${filename}:`, error);
+            this.recordSkipped(filename, `Invalid ${adapter.label}: ${error.message}`);
+            return;
         }
 
-        // Check if any images have translations
-        const hasTranslations = matched.some(page => page.hasTranslation);
+        const directory = FileUtils.getDirectory(filename);
+        const { baseName, language } = this.splitLanguageSuffix(FileUtils.getBaseName(filename));
+        const multiPage = pages.some(entry => entry.imgPath);
+        let pageCount = 0;
 
-        return {
-            valid: true,
-            hasTranslations,
-            stats: {
-                totalPages: matched.length,
-                pagesWithTranslations: matched.filter(p => p.hasTranslation).length,
-                translationCoverage: Math.round((matched.filter(p => p.hasTranslation).length / matched.length) * 100)
+        pages.forEach((entry, index) => {
+            const pagePath = multiPage ? `${filename}#${index}` : filename;
+            const pageData = { version: adapter.name, ...entry.page };
+            const validation = this.validateMokuroPage(pageData, { requireDimensions: false });
+
+            if (!validation.valid) {
+                console.warn(`Invalid page in ${adapter.label}: ${pagePath} (${validation.error})`);
+                this.recordSkipped(pagePath, `Invalid ${adapter.label} page: ${validation.error}`);
+                return;
             }
-        };
+
+            const record = {
+                filename: multiPage ? `${this.cleanFilename(filename)}#${index}` : this.cleanFilename(filename),
+                path: pagePath,
+                data: pageData,
+                size: JSON.stringify(entry.page).length,
+                type: 'translation',
+                baseName: baseName,
+                language: language,
+                format: adapter.name
+            };
+
+            if (entry.imgPath) {
+                const imgPath = entry.imgPath.replace(/\\/g, '/');
+                record.imgPath = imgPath;
+                record.resolvedPath = directory ? `${directory}/${imgPath}` : imgPath;
+                record.baseName = FileUtils.getBaseName(record.resolvedPath);
+            }
+
+            this.currentFiles.translations.push(record);
+            pageCount++;
+        });
+
+        console.log(`Loaded ${pageCount} pages from ${adapter.label}: ${filename}`);
     }
 
+    // ==========================================================================
+    // Series Metadata
+    // ==========================================================================
+
     /**
-     * Check if image blob is valid
+     * Check if an entry is a ComicInfo.xml metadata file
      */
-    isValidImage(blob) {
-        // Basic validation - check if it's actually a blob and has reasonable size
-        return blob && 
-               blob instanceof Blob && 
-               blob.size > 0 && 
-               blob.size < 50 * 1024 * 1024; // 50MB per image max
-               // JSZip might not set MIME type correctly, so we skip that check
+    isComicInfo(filename) {
+        return this.cleanFilename(filename).toLowerCase() === 'comicinfo.xml';
     }
 
     /**
-     * Validate mokuro JSON structure
+     * Read ComicInfo.xml; the shallowest one wins when volumes carry their own
      */
-    isValidMokuroJSON(data) {
-        if (!data || typeof data !== 'object') return false;
-        
-        // Check for required mokuro properties
-        if (!data.version || !data.img_width || !data.img_height) return false;
-        
-        // Check for blocks array
-        if (!Array.isArray(data.blocks)) return false;
-        
-        // Validate block structure (basic check)
-        for (const block of data.blocks) {
-            if (!block.box || !Array.isArray(block.box) || block.box.length !== 4) return false;
-            if (!Array.isArray(block.lines)) return false;
+    async processComicInfo(filename, entry) {
+        const fields = this.parseComicInfo(await entry.async('text'));
+        const depth = filename.split('/').length;
+        const existing = this.metadataSources.comicInfo;
+
+        if (Object.keys(fields).length === 0) {
+            this.recordSkipped(filename, 'ComicInfo.xml has no recognised fields');
+            return;
         }
-        
-        return true;
-    }
 
-    // ==========================================================================
-    // Utility Functions
-    // ==========================================================================
+        if (!existing || depth < existing.depth) {
+            this.metadataSources.comicInfo = { depth: depth, fields: fields };
+        }
+    }
 
     /**
-     * Check if file should be skipped
+     * Pull known fields out of ComicInfo.xml.
+     * Regex based, since workers have no DOMParser.
      */
-    shouldSkipFile(filename) {
-        const name = filename.toLowerCase();
-        
-        // Skip hidden files
-        if (name.startsWith('.') || name.includes('/.')) return true;
+    parseComicInfo(xml) {
+        const names = ['Series', 'Title', 'Volume', 'Number', 'Count', 'Writer', 'Publisher', 'Year', 'LanguageISO', 'Manga', 'Summary'];
+        const fields = {};
+
+        for (const name of names) {
+            const match = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`, 'i'));
+            if (!match) continue;
+
+            const value = this.decodeXmlText(match[1]).trim();
+            if (value) fields[name] = value;
+        }
+
+        return fields;
+    }
+
+    /**
+     * Unwrap CDATA and decode XML entities
+     */
+    decodeXmlText(text) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+        return text
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+                if (entity[0] === '#') {
+                    const code = entity[1].toLowerCase() === 'x' ?
+                        parseInt(entity.substring(2), 16) :
+                        parseInt(entity.substring(1), 10);
+                    return String.fromCodePoint(code);
+                }
+                return entities[entity.toLowerCase()];
+            });
+    }
+
+    /**
+     * Remember title and volume from a new-style .mokuro file
+     */
+    collectMokuroMetadata(volumeData) {
+        if (this.metadataSources.mokuro) return;
+        if (!volumeData.title && !volumeData.volume) return;
+
+        this.metadataSources.mokuro = {
+            title: volumeData.title || null,
+            volume: volumeData.volume || null
+        };
+    }
+
+    /**
+     * Combine metadata sources; ComicInfo.xml wins over mokuro.
+     * Returns null when the upload carries no metadata.
+     */
+    buildMetadata() {
+        const comicInfo = this.metadataSources.comicInfo?.fields || {};
+        const mokuro = this.metadataSources.mokuro || {};
+
+        const metadata = {
+            series: comicInfo.Series || mokuro.title || null,
+            title: comicInfo.Title || null,
+            volume: comicInfo.Volume || mokuro.volume || null,
+            number: comicInfo.Number || null,
+            count: comicInfo.Count || null,
+            writer: comicInfo.Writer || null,
+            publisher: comicInfo.Publisher || null,
+            year: comicInfo.Year || null,
+            language: comicInfo.LanguageISO || null,
+            summary: comicInfo.Summary || null,
+            readingDirection: comicInfo.Manga === 'YesAndRightToLeft' ? 'rtl' : null,
+            sources: [
+                ...(this.metadataSources.comicInfo ? ['comicinfo'] : []),
+                ...(this.metadataSources.mokuro ? ['mokuro'] : [])
+            ]
+        };
+
+        return metadata.sources.length > 0 ? metadata : null;
+    }
+
+    // ==========================================================================
+    // Import Report
+    // ==========================================================================
+
+    /**
+     * Create an empty import report
+     */
+    createReport() {
+        return {
+            generatedAt: null,
+            skipped: [],
+            unmatchedTranslations: [],
+            untranslatedImages: []
+        };
+    }
+
+    /**
+     * Record a file that was left out of the import
+     */
+    recordSkipped(path, reason) {
+        if (!this.currentFiles.report) {
+            this.currentFiles.report = this.createReport();
+        }
+
+        this.currentFiles.report.skipped.push({ path: path, reason: reason });
+    }
+
+    /**
+     * Fill in matching diagnostics once images and translations are paired
+     */
+    finalizeReport() {
+        const report = this.currentFiles.report || this.createReport();
+
+        report.generatedAt = Date.now();
+        report.skipped.sort((a, b) => this.naturalSort(a.path, b.path));
+        Object.assign(report, this.buildMatchDiagnostics(this.currentFiles));
+
+        this.currentFiles.report = report;
+        return report;
+    }
+
+    /**
+     * List translations no page uses and pages without a translation
+     */
+    buildMatchDiagnostics(files) {
+        const used = new Set(
+            [...this.getTranslationsInUse(files)].map(translation => this.getTranslationKey(translation))
+        );
+
+        return {
+            unmatchedTranslations: files.translations
+                .filter(translation => !used.has(this.getTranslationKey(translation)))
+                .map(translation => ({
+                    path: this.getTranslationKey(translation),
+                    expectedImage: translation.resolvedPath || translation.baseName
+                })),
+            untranslatedImages: files.matched
+                .filter(page => !page.hasTranslation)
+                .map(page => ({
+                    path: this.getPageKey(page),
+                    pageIndex: page.pageIndex
+                }))
+        };
+    }
+
+    // ==========================================================================
+    // File Matching
+    // ==========================================================================
+
+    /**
+     * Match images to their corresponding translation files
+     */
+    matchFiles() {
+        const matched = [];
+        
+        // Sort images for consistent ordering, keeping each folder's pages together
+        this.currentFiles.images.sort((a, b) => this.compareImages(a, b));
+
+        for (const image of this.currentFiles.images) {
+            const { translation, layers } = this.matchTranslationLayers(image);
+            
+            matched.push({
+                image: image,
+                translation: translation,
+                layers: layers,
+                hasTranslation: !!translation,
+                pageIndex: matched.length
+            });
+        }
+
+        this.currentFiles.matched = matched;
+        this.currentFiles.structure = this.buildStructure(matched);
+    }
+
+    /**
+     * Order images by folder, then naturally by filename
+     */
+    compareImages(a, b) {
+        return this.naturalSort(FileUtils.getDirectory(a.path || ''), FileUtils.getDirectory(b.path || '')) ||
+               this.naturalSort(a.filename, b.filename);
+    }
+
+    /**
+     * Find matching translation for an image
+     */
+    findMatchingTranslation(image, translations = this.currentFiles.translations) {
+        if (!image || !image.baseName) return null;
+
+        // Volume pages carry their image path: match on it first
+        const pathMatch = this.findTranslationByImagePath(image, translations);
+        if (pathMatch) return pathMatch;
+
+        // Direct base name match (mokuro standard)
+        const exactMatch = translations.find(trans => 
+            trans.baseName === image.baseName
+        );
+        
+        if (exactMatch) return exactMatch;
+
+        // Fallback: try fuzzy matching for edge cases, within the image's own folder
+        // so same-named pages from different chapters don't collide
+        const imageDirectory = FileUtils.getDirectory(image.baseName);
+        const fuzzyMatch = translations.find(trans => {
+            if (FileUtils.getDirectory(trans.baseName) !== imageDirectory) return false;
+            const imageBase = this.normalizeFilename(this.cleanFilename(image.baseName));
+            const transBase = this.normalizeFilename(this.cleanFilename(trans.baseName));
+            return imageBase === transBase;
+        });
+
+        return fuzzyMatch || null;
+    }
+
+    /**
+     * Match every layer of an image. The file without a language suffix is the
+     * primary translation and each suffix adds a layer; when a page only has
+     * suffixed files the first language becomes primary.
+     * Returns { translation, layers: { language: translation } }
+     */
+    matchTranslationLayers(image, translations = this.currentFiles.translations) {
+        const layers = {};
+
+        for (const language of this.getLanguages(translations)) {
+            const layer = this.findMatchingTranslation(image,
+                translations.filter(trans => trans.language === language));
+            if (layer) layers[language] = layer;
+        }
+
+        const primary = this.findMatchingTranslation(image, translations.filter(trans => !trans.language));
+
+        return {
+            translation: primary || Object.values(layers)[0] || null,
+            layers: layers
+        };
+    }
+
+    /**
+     * Languages/variants present in a set of translations, sorted
+     */
+    getLanguages(translations) {
+        return [...new Set(translations.map(trans => trans.language).filter(Boolean))].sort();
+    }
+
+    /**
+     * Split a language suffix off a base name: 'page01.en' -> { baseName: 'page01', language: 'en' }
+     */
+    splitLanguageSuffix(baseName) {
+        const match = baseName.match(this.languageSuffixPattern);
+        if (!match) return { baseName: baseName, language: null };
+
+        return {
+            baseName: baseName.slice(0, match.index),
+            language: match[1].toLowerCase().replace(/_/g, '-')
+        };
+    }
+
+    /**
+     * Find a .mokuro volume page whose img_path points at this image
+     */
+    findTranslationByImagePath(image, translations = this.currentFiles.translations) {
+        if (!image.path) return null;
+
+        const volumePages = translations.filter(trans => trans.imgPath);
+        if (volumePages.length === 0) return null;
+
+        // Exact match: <volume>/<img_path> next to the .mokuro file
+        const exactMatch = volumePages.find(trans => trans.resolvedPath === image.path);
+        if (exactMatch) return exactMatch;
+
+        // Folder named differently (or imported on its own): match on the img_path suffix
+        const suffixMatch = volumePages.find(trans =>
+            image.path === trans.imgPath || image.path.endsWith('/' + trans.imgPath)
+        );
+
+        return suffixMatch || null;
+    }
+
+    // ==========================================================================
+    // Manual Matching
+    // ==========================================================================
+
+    /**
+     * Stable key of a page (its image path)
+     */
+    getPageKey(page) {
+        return page.image.path || page.image.filename;
+    }
+
+    /**
+     * Stable key of a translation (its path in the upload)
+     */
+    getTranslationKey(translation) {
+        return translation.path || translation.resolvedPath || translation.filename;
+    }
+
+    /**
+     * Assign a translation to a page by key, or unassign it with null.
+     * Manual choices are kept in files.manualMatches keyed by image path.
+     */
+    assignTranslation(files, pageIndex, translationKey) {
+        const page = files.matched[pageIndex];
+        if (!page) {
+            throw new Error(`Page ${pageIndex + 1} does not exist`);
+        }
+
+        const translation = translationKey ?
+            files.translations.find(trans => this.getTranslationKey(trans) === translationKey) :
+            null;
+
+        if (translationKey && !translation) {
+            throw new Error(`Translation not found: ${translationKey}`);
+        }
+
+        this.setPageTranslation(files, page, translation);
+        this.refreshMatchState(files);
+    }
+
+    /**
+     * Move every current match by a number of pages (positive = later pages)
+     */
+    shiftMatches(files, offset) {
+        const current = files.matched.map(page => page.translation);
+        const currentLayers = files.matched.map(page => page.layers || {});
+
+        files.matched.forEach((page, index) => {
+            const sourceIndex = index - offset;
+            const inRange = sourceIndex >= 0 && sourceIndex < current.length;
+            this.setPageTranslation(files, page, inRange ? current[sourceIndex] : null);
+
+            // Language layers move with the primary translation
+            page.layers = inRange ? currentLayers[sourceIndex] : {};
+        });
+
+        this.refreshMatchState(files);
+    }
+
+    /**
+     * Drop manual choices and rematch automatically
+     */
+    resetMatches(files) {
+        files.manualMatches = {};
+
+        for (const page of files.matched) {
+            const { translation, layers } = this.matchTranslationLayers(page.image, files.translations);
+            page.translation = translation;
+            page.layers = layers;
+            page.hasTranslation = !!translation;
+        }
+
+        this.refreshMatchState(files);
+    }
+
+    /**
+     * Apply manual matches saved with a series, e.g. when it is uploaded again.
+     * Choices already made on this upload win. Returns how many were applied.
+     */
+    applyManualMatches(files, manualMatches) {
+        if (!manualMatches) return 0;
+
+        const current = files.manualMatches || {};
+        let applied = 0;
+
+        for (const [pageKey, translationKey] of Object.entries(manualMatches)) {
+            if (pageKey in current) continue;
+
+            const page = files.matched.find(p => this.getPageKey(p) === pageKey);
+            if (!page) continue;
+
+            const translation = translationKey ?
+                files.translations.find(trans => this.getTranslationKey(trans) === translationKey) :
+                null;
+
+            // Translation no longer part of the upload: leave the automatic match
+            if (translationKey && !translation) continue;
+
+            this.setPageTranslation(files, page, translation);
+            applied++;
+        }
+
+        if (applied > 0) {
+            this.refreshMatchState(files);
+        }
+        return applied;
+    }
+
+    /**
+     * Set a page's translation and record it as a manual match
+     */
+    setPageTranslation(files, page, translation) {
+        page.translation = translation || null;
+        page.hasTranslation = !!translation;
+
+        files.manualMatches = files.manualMatches || {};
+        files.manualMatches[this.getPageKey(page)] = translation ? this.getTranslationKey(translation) : null;
+    }
+
+    /**
+     * Refresh the report after matches changed
+     */
+    refreshMatchState(files) {
+        if (files.report) {
+            Object.assign(files.report, this.buildMatchDiagnostics(files));
+        }
+    }
+
+    // ==========================================================================
+    // Translation Updates
+    // ==========================================================================
+
+    /**
+     * Result for an upload that only carries translations
+     */
+    buildTranslationOnlyResult(totalSize) {
+        const report = this.currentFiles.report || this.createReport();
+        report.generatedAt = Date.now();
+        report.skipped.sort((a, b) => this.naturalSort(a.path, b.path));
+
+        return {
+            success: true,
+            translationOnly: true,
+            images: [],
+            translations: this.currentFiles.translations,
+            matched: [],
+            structure: null,
+            thumbnail: null,
+            contentHash: null,
+            report: report,
+            metadata: this.currentFiles.metadata,
+            stats: this.buildStats(this.currentFiles, totalSize)
+        };
+    }
+
+    /**
+     * Rematch new translations against a stored series without changing it.
+     * Pages with a manual match keep it when the chosen translation is in the update.
+     * Language files update their layer; they only become primary on untranslated pages.
+     * Returns { changes: [{ pageIndex, pageKey, translation, layers, status }], unmatched: [keys],
+     *           ambiguous: [{ key, pages: [pageKeys] }] }
+     */
+    planTranslationUpdate(files, translations) {
+        const manualMatches = files.manualMatches || {};
+        const sameData = (a, b) => !!a && !!b && JSON.stringify(a.data) === JSON.stringify(b.data);
+        const { matchable, sources, ambiguous } = this.resolveLooseTranslations(files.matched, translations);
+        const toSource = trans => trans && (sources.get(trans) || trans);
+        const used = new Set();
+        const changes = [];
+
+        files.matched.forEach((page, index) => {
+            const pageKey = this.getPageKey(page);
+            const autoMatches = this.matchTranslationLayers(page.image, matchable);
+            const autoMatch = toSource(autoMatches.translation);
+            const layers = Object.fromEntries(
+                Object.entries(autoMatches.layers).map(([language, layer]) => [language, toSource(layer)])
+            );
+            let translation;
+
+            if (pageKey in manualMatches) {
+                const manualKey = manualMatches[pageKey];
+                translation = manualKey ?
+                    translations.find(trans => this.getTranslationKey(trans) === manualKey) || null :
+                    null;
+            } else {
+                translation = autoMatch && (!autoMatch.language || !page.translation) ? autoMatch : null;
+            }
+
+            if (!translation && Object.keys(layers).length === 0) return;
+            [translation, ...Object.values(layers)].filter(Boolean).forEach(trans => used.add(trans));
+
+            const previous = page.translation;
+            const previousLayers = page.layers || {};
+            let status = 'added';
+            if (previous) {
+                const primaryChanged = translation && !sameData(previous, translation);
+                const layersChanged = Object.entries(layers)
+                    .some(([language, layer]) => !sameData(previousLayers[language], layer));
+                status = primaryChanged || layersChanged ? 'changed' : 'unchanged';
+            }
+
+            changes.push({ pageIndex: index, pageKey: pageKey, translation: translation, layers: layers, status: status });
+        });
+
+        const ambiguousKeys = new Set(ambiguous.map(entry => entry.key));
+
+        return {
+            changes: changes,
+            unmatched: translations
+                .filter(trans => !used.has(trans))
+                .map(trans => this.getTranslationKey(trans))
+                .filter(key => !ambiguousKeys.has(key)),
+            ambiguous: ambiguous
+        };
+    }
+
+    /**
+     * JSON files uploaded on their own have no folder ("001") while the series'
+     * pages may sit in one ("Vol. 01/001"). Such a translation matches the page
+     * with the same file name when only one page has it; when several do it is
+     * reported as ambiguous and left out.
+     * Returns { matchable, sources: Map(copy -> translation), ambiguous: [{ key, pages }] }
+     */
+    resolveLooseTranslations(pages, translations) {
+        const bareName = baseName => this.normalizeFilename(this.cleanFilename(baseName));
+        const pagesByName = new Map();
+        pages.forEach(page => {
+            if (!page.image?.baseName) return;
+            const name = bareName(page.image.baseName);
+            pagesByName.set(name, [...(pagesByName.get(name) || []), page]);
+        });
+
+        const sources = new Map();
+        const ambiguous = [];
+        const matchable = [];
+
+        for (const trans of translations) {
+            const loose = !trans.imgPath && trans.baseName && !FileUtils.getDirectory(trans.baseName);
+            const candidates = loose ? pagesByName.get(bareName(trans.baseName)) || [] : [];
+
+            if (candidates.length === 0 || candidates.some(page => page.image.baseName === trans.baseName)) {
+                matchable.push(trans);
+            } else if (candidates.length === 1) {
+                const copy = { ...trans, baseName: candidates[0].image.baseName };
+                sources.set(copy, trans);
+                matchable.push(copy);
+            } else {
+                ambiguous.push({
+                    key: this.getTranslationKey(trans),
+                    pages: candidates.map(page => this.getPageKey(page))
+                });
+            }
+        }
+
+        return { matchable, sources, ambiguous };
+    }
+
+    /**
+     * Apply a planned update to a stored file set, optionally keeping a revision.
+     * Returns the number of pages whose translation changed.
+     */
+    applyTranslationUpdate(files, plan, options = {}) {
+        const updates = plan.changes.filter(change => change.status !== 'unchanged');
+        if (updates.length === 0) return 0;
+
+        const revision = { date: Date.now(), pages: {}, layers: {} };
+        const replaced = new Set();
+        const incoming = new Set();
+
+        for (const change of updates) {
+            const page = files.matched[change.pageIndex];
+            const layers = change.layers || {};
+            revision.pages[change.pageKey] = page.translation || null;
+            revision.layers[change.pageKey] = page.layers || {};
+
+            if (change.translation) {
+                if (page.translation) replaced.add(page.translation);
+                page.translation = change.translation;
+                incoming.add(change.translation);
+            }
+
+            for (const [language, layer] of Object.entries(layers)) {
+                if (page.layers?.[language]) replaced.add(page.layers[language]);
+                incoming.add(layer);
+            }
+            page.layers = { ...(page.layers || {}), ...layers };
+            page.translation = page.translation || Object.values(page.layers)[0] || null;
+            page.hasTranslation = !!page.translation;
+        }
+
+        // Old records stay only while another page still uses them
+        const inUse = this.getTranslationsInUse(files);
+        files.translations = [...new Set([
+            ...files.translations.filter(trans => !replaced.has(trans) || inUse.has(trans)),
+            ...incoming
+        ])];
+
+        if (options.keepRevision) {
+            files.revisions = [...(files.revisions || []), revision].slice(-this.maxRevisions);
+        }
+
+        files.stats = {
+            ...files.stats,
+            translationCount: files.translations.length,
+            languages: this.getLanguages(files.translations)
+        };
+        return updates.length;
+    }
+
+    /**
+     * Restore the translations saved by the latest revision.
+     * Returns the number of pages restored, 0 when there is nothing to roll back.
+     */
+    rollbackTranslations(files) {
+        const revision = (files.revisions || []).pop();
+        if (!revision) return 0;
+
+        const rolledBack = new Set();
+        const restoredTranslations = [];
+        let restored = 0;
+
+        for (const [pageKey, translation] of Object.entries(revision.pages)) {
+            const pageIndex = this.findPageIndex(files, pageKey);
+            if (pageIndex === -1) continue;
+
+            const page = files.matched[pageIndex];
+            if (page.translation) rolledBack.add(page.translation);
+            if (translation) restoredTranslations.push(translation);
+
+            page.translation = translation;
+            page.hasTranslation = !!translation;
+
+            // Revisions made before language layers existed carry no layers
+            if (revision.layers?.[pageKey]) {
+                Object.values(page.layers || {}).forEach(layer => rolledBack.add(layer));
+                page.layers = revision.layers[pageKey];
+                restoredTranslations.push(...Object.values(page.layers));
+            }
+            restored++;
+        }
+
+        const inUse = this.getTranslationsInUse(files);
+        const kept = files.translations.filter(trans => !rolledBack.has(trans) || inUse.has(trans));
+        files.translations = [...new Set([...kept, ...restoredTranslations])];
+        files.stats = {
+            ...files.stats,
+            translationCount: files.translations.length,
+            languages: this.getLanguages(files.translations)
+        };
+
+        return restored;
+    }
+
+    /**
+     * Every translation record referenced by a page, primary or layer
+     */
+    getTranslationsInUse(files) {
+        return new Set(
+            files.matched
+                .flatMap(page => [page.translation, ...Object.values(page.layers || {})])
+                .filter(Boolean)
+        );
+    }
+
+    // ==========================================================================
+    // Chapter Structure
+    // ==========================================================================
+
+    /**
+     * Build a volume/chapter tree from the folder hierarchy of matched pages.
+     * The folder holding the pages is the chapter, its parent folder the volume.
+     * Also tags each matched page with its chapterIndex.
+     */
+    buildStructure(matched) {
+        const directories = matched.map(page => FileUtils.getDirectory(page.image.path || page.image.filename));
+        const commonRoot = this.getCommonDirectory(directories);
+        const volumes = [];
+        const chapters = [];
+        let currentChapter = null;
+
+        matched.forEach((page, index) => {
+            const directory = directories[index];
+
+            if (!currentChapter || currentChapter.path !== directory) {
+                const relative = directory.substring(commonRoot.length).replace(/^\//, '');
+                const segments = relative ? relative.split('/') : [];
+                const chapterName = segments.length > 0 ? segments[segments.length - 1] : '';
+                const volumePath = segments.slice(0, -1).join('/');
+
+                let volume = volumes[volumes.length - 1];
+                if (!volume || volume.path !== volumePath) {
+                    volume = {
+                        title: volumePath.split('/').pop(),
+                        path: volumePath,
+                        chapters: []
+                    };
+                    volumes.push(volume);
+                }
+
+                currentChapter = {
+                    title: chapterName,
+                    number: this.extractNumber(chapterName, chapters.length + 1),
+                    path: directory,
+                    volumeIndex: volumes.length - 1,
+                    startPage: index,
+                    pageCount: 0
+                };
+                volume.chapters.push(chapters.length);
+                chapters.push(currentChapter);
+            }
+
+            currentChapter.pageCount++;
+            page.chapterIndex = chapters.length - 1;
+        });
+
+        return { volumes, chapters };
+    }
+
+    /**
+     * Longest directory prefix shared by all paths
+     */
+    getCommonDirectory(directories) {
+        if (directories.length === 0) return '';
+
+        let common = directories[0].split('/');
+        for (const directory of directories.slice(1)) {
+            const segments = directory.split('/');
+            let length = 0;
+            while (length < common.length && common[length] === segments[length]) {
+                length++;
+            }
+            common = common.slice(0, length);
+        }
+
+        return common.join('/');
+    }
+
+    /**
+     * Extract the last number in a folder name ("ch012" -> 12)
+     */
+    extractNumber(name, fallback) {
+        const match = name.match(/(\d+(?:\.\d+)?)(?!.*\d)/);
+        return match ? parseFloat(match[1]) : fallback;
+    }
+
+    // ==========================================================================
+    // Merging
+    // ==========================================================================
+
+    /**
+     * Merge an incoming file set into a base file set.
+     * Pages are keyed by image path: same path replaces, new path is added.
+     * With a prefix, incoming images and translations are moved under that folder first.
+     */
+    mergeFileSets(base, incoming, options = {}) {
+        const getKey = page => page.image.path || page.image.filename;
+        const pagesByKey = new Map();
+        const added = [];
+        const replaced = [];
+
+        // Prefixed translation copies, so the same file name in two volumes doesn't collide
+        const prefixed = new Map();
+        const prefixTranslation = (trans) => {
+            if (!trans || !options.prefix) return trans;
+            if (!prefixed.has(trans)) prefixed.set(trans, this.prefixTranslation(trans, options.prefix));
+            return prefixed.get(trans);
+        };
+        const incomingTranslations = (incoming.translations || []).map(prefixTranslation);
+
+        for (const page of base.matched || []) {
+            pagesByKey.set(getKey(page), page);
+        }
+
+        for (const page of incoming.matched || []) {
+            const incomingPage = options.prefix ? this.prefixPage(page, options.prefix, prefixTranslation) : page;
+            const key = getKey(incomingPage);
+
+            if (pagesByKey.has(key)) {
+                replaced.push(key);
+            } else {
+                added.push(key);
+            }
+            pagesByKey.set(key, incomingPage);
+        }
+
+        const matched = [...pagesByKey.values()]
+            .sort((a, b) => this.compareImages(a.image, b.image))
+            .map((page, index) => ({ ...page, pageIndex: index }));
+
+        // Keep every translation still referenced by a page, plus unmatched ones from both sets
+        const translations = new Map();
+        for (const trans of [...(base.translations || []), ...incomingTranslations]) {
+            const key = trans.resolvedPath || trans.baseName || trans.filename;
+            translations.set(trans.language ? `${key}.${trans.language}` : key, trans);
+        }
+
+        // Manual matches of replaced pages give way to the incoming ones
+        const manualMatches = { ...(base.manualMatches || {}) };
+        replaced.forEach(key => delete manualMatches[key]);
+        for (const [pageKey, translationKey] of Object.entries(incoming.manualMatches || {})) {
+            if (!options.prefix) {
+                manualMatches[pageKey] = translationKey;
+                continue;
+            }
+            manualMatches[`${options.prefix}/${pageKey}`] = translationKey ? `${options.prefix}/${translationKey}` : null;
+        }
+
+        const merged = {
+            success: true,
+            images: matched.map(page => page.image),
+            translations: [...translations.values()],
+            matched: matched,
+            structure: this.buildStructure(matched),
+            thumbnail: base.thumbnail || incoming.thumbnail || null,
+            contentHash: null,
+            volumeHashes: this.mergeVolumeHashes(base, incoming, options.prefix),
+            manualMatches: manualMatches,
+            metadata: base.metadata || incoming.metadata || null
+        };
+        merged.stats = this.buildStats(merged,
+            (base.stats?.totalSize || 0) + (incoming.stats?.totalSize || 0));
+
+        return { files: merged, added, replaced };
+    }
+
+    /**
+     * Content hashes of the archives a file set was built from, keyed by the
+     * folder they were added under (a single archive is keyed by its hash)
+     */
+    getVolumeHashes(files) {
+        if (files.volumeHashes) return files.volumeHashes;
+        return files.contentHash ? { [files.contentHash]: files.contentHash } : {};
+    }
+
+    /**
+     * Combine volume hashes for mergeFileSets; a prefixed volume replaces
+     * whatever was stored under that folder before
+     */
+    mergeVolumeHashes(base, incoming, prefix = null) {
+        const hashes = Object.entries(this.getVolumeHashes(base))
+            .filter(([key]) => !prefix || (key !== prefix && !key.startsWith(prefix + '/')));
+
+        for (const [key, hash] of Object.entries(this.getVolumeHashes(incoming))) {
+            hashes.push([prefix ? `${prefix}/${key}` : key, hash]);
+        }
+
+        return Object.fromEntries(hashes);
+    }
+
+    /**
+     * Find the index of a page in a file set by its image path (-1 if absent)
+     */
+    findPageIndex(files, pageKey) {
+        return (files.matched || []).findIndex(page => this.getPageKey(page) === pageKey);
+    }
+
+    /**
+     * Does any incoming page path collide with a base page path?
+     */
+    hasPathCollisions(base, incoming) {
+        const basePaths = new Set((base.matched || []).map(page => page.image.path || page.image.filename));
+        return (incoming.matched || []).some(page => basePaths.has(page.image.path || page.image.filename));
+    }
+
+    /**
+     * Copy a page with its image moved under a folder.
+     * mapTranslation swaps in the page's moved translation records.
+     */
+    prefixPage(page, prefix, mapTranslation = trans => trans) {
+        const path = `${prefix}/${page.image.path || page.image.filename}`;
+        const layers = Object.fromEntries(
+            Object.entries(page.layers || {}).map(([language, layer]) => [language, mapTranslation(layer)])
+        );
+
+        return {
+            ...page,
+            image: {
+                ...page.image,
+                path: path,
+                baseName: FileUtils.getBaseName(path)
+            },
+            translation: mapTranslation(page.translation),
+            layers: layers
+        };
+    }
+
+    /**
+     * Copy a translation record with its paths moved under a folder
+     */
+    prefixTranslation(translation, prefix) {
+        const moved = {
+            ...translation,
+            path: translation.path ? `${prefix}/${translation.path}` : translation.path,
+            baseName: `${prefix}/${translation.baseName}`
+        };
+
+        if (translation.resolvedPath) {
+            moved.resolvedPath = `${prefix}/${translation.resolvedPath}`;
+        }
+        return moved;
+    }
+
+    /**
+     * Compute summary statistics for a file set
+     */
+    buildStats(files, totalSize) {
+        return {
+            imageCount: files.images.length,
+            translationCount: files.translations.length,
+            languages: this.getLanguages(files.translations),
+            matchedCount: files.matched.length,
+            chapterCount: files.structure ? files.structure.chapters.length : 1,
+            totalSize: totalSize,
+            imageSize: files.images.reduce((sum, image) => sum + (image.size || 0), 0),
+            originalImageSize: files.images.reduce((sum, image) => sum + (image.originalSize || image.size || 0), 0),
+            transcodedCount: files.images.filter(image => image.originalSize).length
+        };
+    }
+
+    // ==========================================================================
+    // Fingerprinting
+    // ==========================================================================
+
+    /**
+     * Hash every image and combine into one content hash for the whole set.
+     * Container-independent, so the same pages as CBZ or folder are duplicates.
+     */
+    async computeContentHash(images) {
+        try {
+            const hashes = [];
+
+            for (const image of images) {
+                image.hash = await FileUtils.hashBlob(image.blob);
+                if (!image.hash) return null;
+                hashes.push(image.hash);
+            }
+
+            return FileUtils.hashBlob(new TextEncoder().encode(hashes.join('\n')));
+        } catch (error) {
+            console.warn('Failed to compute content hash:', error);
+            return null;
+        }
+    }
+
+    // ==========================================================================
+    // Thumbnails & Transcoding
+    // ==========================================================================
+
+    /**
+     * Generate a small JPEG cover thumbnail from a page image
+     */
+    async generateThumbnail(blob, maxWidth = 240) {
+        try {
+            const bitmap = await createImageBitmap(blob);
+            const scale = Math.min(1, maxWidth / bitmap.width);
+            const width = Math.round(bitmap.width * scale);
+            const height = Math.round(bitmap.height * scale);
+
+            const thumbnail = await this.encodeBitmap(bitmap, width, height, 'image/jpeg', 0.8);
+
+            bitmap.close();
+            return thumbnail;
+        } catch (error) {
+            console.warn('Failed to generate thumbnail:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Re-encode a page to the configured format, downscaling it to transcode.maxHeight.
+     * Updates imageData in place and keeps the original size and dimensions, so
+     * translation boxes in original pixels still map onto the smaller image.
+     * Pages stay untouched when re-encoding doesn't make them smaller.
+     */
+    async transcodeImage(imageData) {
+        const { format, quality, maxHeight } = this.transcode;
+        const mime = this.transcodeFormats[format];
+
+        // GIFs may be animated; JPEG XL/TIFF can't be decoded here
+        if (!mime || imageData.format === 'gif' || typeof createImageBitmap === 'undefined' ||
+            !imageSniffer.alwaysDecodable.includes(imageData.format)) {
+            return;
+        }
+
+        let bitmap = null;
+        try {
+            bitmap = await createImageBitmap(imageData.blob);
+            const scale = maxHeight && bitmap.height > maxHeight ? maxHeight / bitmap.height : 1;
+            if (imageData.format === format && scale === 1) return;
+
+            const width = Math.round(bitmap.width * scale);
+            const height = Math.round(bitmap.height * scale);
+            const blob = await this.encodeBitmap(bitmap, width, height, mime, quality);
+
+            // Engines without an encoder for the format hand back PNG instead
+            if (!blob || blob.type !== mime) return;
+            if (scale === 1 && blob.size >= imageData.size) return;
+
+            Object.assign(imageData, {
+                blob: blob,
+                size: blob.size,
+                format: format,
+                width: width,
+                height: height,
+                originalSize: imageData.size,
+                originalFormat: imageData.format,
+                originalWidth: bitmap.width,
+                originalHeight: bitmap.height
+            });
+        } catch (error) {
+            console.warn(`Failed to re-encode ${imageData.path}, keeping the original:`, error);
+        } finally {
+            if (bitmap) bitmap.close();
+        }
+    }
+
+    /**
+     * Draw a bitmap at the given size and encode it (OffscreenCanvas in workers)
+     */
+    async encodeBitmap(bitmap, width, height, type, quality) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            const canvas = new OffscreenCanvas(width, height);
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+            return canvas.convertToBlob({ type: type, quality: quality });
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+        return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    }
+
+    // ==========================================================================
+    // Validation
+    // ==========================================================================
+
+    /**
+     * Validate file structure after processing
+     */
+    validateFileStructure() {
+        const { images, translations, matched } = this.currentFiles;
+
+        if (images.length === 0) {
+            return { valid: false, error: 'No image files found' };
+        }
+
+        if (matched.length === 0) {
+            return { valid: false, error: 'No pages could be processed' };
+        }
+
+        // Check if any images have translations
+        const hasTranslations = matched.some(page => page.hasTranslation);
+
+        return {
+            valid: true,
+            hasTranslations,
+            stats: {
+                totalPages: matched.length,
+                pagesWithTranslations: matched.filter(p => p.hasTranslation).length,
+                translationCoverage: Math.round((matched.filter(p => p.hasTranslation).length / matched.length) * 100)
+            }
+        };
+    }
+
+    /**
+     * Check if image blob is valid
+     */
+    isValidImage(blob) {
+        return this.getImageError(blob) === null;
+    }
+
+    /**
+     * Describe why an image blob is rejected, or null if it is valid
+     */
+    getImageError(blob) {
+        // Basic validation - check if it's actually a blob and has reasonable size
+        // JSZip might not set MIME type correctly, so we skip that check
+        if (!blob || !(blob instanceof Blob)) return 'Unreadable image data';
+        if (blob.size === 0) return 'Empty image file';
+        if (blob.size >= this.maxImageSize) {
+            return `Image too large (${FileUtils.formatSize(blob.size)}, limit ${FileUtils.formatSize(this.maxImageSize)})`;
+        }
+        return null;
+    }
+
+    /**
+     * Validate mokuro JSON structure
+     */
+    isValidMokuroJSON(data) {
+        return this.validateMokuroJSON(data).valid;
+    }
+
+    /**
+     * Validate mokuro JSON structure, naming the first field that fails
+     */
+    validateMokuroJSON(data) {
+        if (!data || typeof data !== 'object') return { valid: false, error: 'not a JSON object' };
+        
+        // Check for required mokuro properties
+        if (!data.version) return { valid: false, error: "missing 'version'" };
+
+        return this.validateMokuroPage(data);
+    }
+
+    /**
+     * Check if data is a single-file .mokuro volume
+     */
+    isMokuroVolume(data) {
+        return !!data && typeof data === 'object' && Array.isArray(data.pages);
+    }
+
+    /**
+     * Validate a single mokuro page (dimensions and blocks)
+     */
+    isValidMokuroPage(data) {
+        return this.validateMokuroPage(data).valid;
+    }
+
+    /**
+     * Validate a single mokuro page, naming the first field that fails.
+     * Converted pages may omit dimensions (options.requireDimensions = false);
+     * the reader then uses the image's own size.
+     */
+    validateMokuroPage(data, options = {}) {
+        const fail = (error) => ({ valid: false, error: error });
+        const requireDimensions = options.requireDimensions !== false;
+
+        if (!data || typeof data !== 'object') return fail('not a JSON object');
+
+        if (requireDimensions && !data.img_width) return fail("missing 'img_width'");
+        if (requireDimensions && !data.img_height) return fail("missing 'img_height'");
+        
+        // Check for blocks array
+        if (!Array.isArray(data.blocks)) return fail("'blocks' is not an array");
+        
+        // Validate block structure (basic check)
+        for (let i = 0; i < data.blocks.length; i++) {
+            const block = data.blocks[i];
+            if (!block || !Array.isArray(block.box) || block.box.length !== 4) {
+                return fail(`'blocks[${i}].box' must have 4 coordinates`);
+            }
+            if (!Array.isArray(block.lines)) return fail(`'blocks[${i}].lines' is not an array`);
+        }
+        
+        return { valid: true, error: null };
+    }
+
+    // ==========================================================================
+    // Utility Functions
+    // ==========================================================================
+
+    /**
+     * Check if file should be skipped
+     */
+    shouldSkipFile(filename) {
+        return this.getSkipReason(filename) !== null;
+    }
+
+    /**
+     * Describe why a file is skipped, or null if it should be processed
+     */
+    getSkipReason(filename) {
+        const name = filename.toLowerCase();
         
         // Skip system files
-        if (name.includes('__macosx') || name.includes('thumbs.db')) return true;
+        if (name.includes('__macosx') || name.includes('thumbs.db')) return 'System file';
+        
+        // Skip hidden files
+        if (name.startsWith('.') || name.includes('/.')) return 'Hidden file';
+
+        // Series metadata
+        if (this.isComicInfo(filename)) return null;
+
+        // Archives inside the archive are never unpacked
+        if (archiveReader.isNestedArchive(name)) return 'Nested archive (not extracted)';
         
         // Skip unsupported file types
-        const ext = name.split('.').pop();
-        if (!this.supportedImageTypes.includes(ext) && ext !== 'json') return true;
+        const baseName = name.split('/').pop();
+        const ext = baseName.includes('.') ? baseName.split('.').pop() : '';
+        if (!this.supportedImageTypes.includes(ext) && ext !== 'json' && ext !== 'mokuro') {
+            return ext ? `Unsupported file type (.${ext})` : 'Unsupported file type (no extension)';
+        }
         
-        return false;
+        return null;
     }
 
     /**
@@ -388,7 +1916,9 @@ class FileManager {
         return {
             images: [...this.currentFiles.images],
             translations: [...this.currentFiles.translations],
-            matched: [...this.currentFiles.matched]
+            matched: [...this.currentFiles.matched],
+            structure: this.currentFiles.structure,
+            report: this.currentFiles.report || null
         };
     }
 
@@ -419,7 +1949,8 @@ class FileManager {
         this.currentFiles = {
             images: [],
             translations: [],
-            matched: []
+            matched: [],
+            structure: null
         };
         
         return true;
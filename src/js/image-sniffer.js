@@ -0,0 +1,267 @@
+/**
+ * Image Sniffer - Identifies image formats from file headers
+ * Assigns real MIME types, catches truncated files during import and
+ * decodes formats the browser can't display (JPEG XL, TIFF) for the reader
+ */
+
+class ImageSniffer {
+    constructor() {
+        this.formats = {
+            jpeg: { mime: 'image/jpeg', extensions: ['jpg', 'jpeg'] },
+            png: { mime: 'image/png', extensions: ['png'] },
+            gif: { mime: 'image/gif', extensions: ['gif'] },
+            webp: { mime: 'image/webp', extensions: ['webp'] },
+            avif: { mime: 'image/avif', extensions: ['avif'] },
+            jxl: { mime: 'image/jxl', extensions: ['jxl'] },
+            bmp: { mime: 'image/bmp', extensions: ['bmp'] },
+            tiff: { mime: 'image/tiff', extensions: ['tif', 'tiff'] }
+        };
+
+        // Formats every engine decodes, so a failed decode means a broken file
+        this.alwaysDecodable = ['jpeg', 'png', 'gif', 'webp', 'bmp'];
+
+        // Formats decoded by a library when the engine can't display them
+        this.jxlDecoderUrl = 'https://cdn.jsdelivr.net/npm/@jsquash/jxl@1.1.0/decode.js';
+        this.tiffDecoderUrl = 'https://cdn.jsdelivr.net/npm/utif@3.1.0/UTIF.js';
+        this.decoders = {};
+        this.nativeSupport = {};
+
+        this.headerSize = 64; // Room for the ftyp compatible brands of AVIF files
+        this.tailSize = 64;
+    }
+
+    // ==========================================================================
+    // Format Detection
+    // ==========================================================================
+
+    /**
+     * All image file extensions accepted on import
+     */
+    getSupportedExtensions() {
+        return Object.values(this.formats).flatMap(format => format.extensions);
+    }
+
+    /**
+     * Identify the format from the first bytes of a file
+     */
+    sniff(bytes) {
+        const matches = (offset, signature) =>
+            signature.every((byte, index) => bytes[offset + index] === byte);
+        const ascii = (offset, text) =>
+            matches(offset, Array.from(text, char => char.charCodeAt(0)));
+
+        if (bytes.length < 12) return null;
+
+        if (matches(0, [0xFF, 0xD8, 0xFF])) return 'jpeg';
+        if (matches(0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+        if (ascii(0, 'GIF87a') || ascii(0, 'GIF89a')) return 'gif';
+        if (ascii(0, 'RIFF') && ascii(8, 'WEBP')) return 'webp';
+        if (ascii(4, 'ftyp') && this.hasAvifBrand(bytes)) return 'avif';
+        if (matches(0, [0xFF, 0x0A])) return 'jxl'; // Bare codestream
+        if (matches(0, [0x00, 0x00, 0x00, 0x0C]) && ascii(4, 'JXL ')) return 'jxl'; // ISOBMFF container
+        if (ascii(0, 'BM')) return 'bmp';
+        if (matches(0, [0x49, 0x49, 0x2A, 0x00]) || matches(0, [0x4D, 0x4D, 0x00, 0x2A])) return 'tiff';
+
+        return null;
+    }
+
+    /**
+     * Check the major and compatible brands of an ftyp box for AVIF.
+     * Many encoders write a generic major brand (mif1, msf1) and list avif/avis after it.
+     */
+    hasAvifBrand(bytes) {
+        const boxSize = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+        const end = Math.min(boxSize, bytes.length);
+        const brandAt = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+        // Major brand at 8, minor version at 12, compatible brands from 16
+        const brands = [brandAt(8)];
+        for (let offset = 16; offset + 4 <= end; offset += 4) {
+            brands.push(brandAt(offset));
+        }
+
+        return brands.includes('avif') || brands.includes('avis');
+    }
+
+    /**
+     * Identify an image blob and check it isn't truncated.
+     * Returns { format, mime, error, warning } where error is null for a usable image.
+     * A JPEG without an end-of-image marker only warns: files padded after the
+     * marker are common and still decode, so verifyDecode() is left to judge.
+     */
+    async inspect(blob) {
+        const header = new Uint8Array(await blob.slice(0, this.headerSize).arrayBuffer());
+        const format = this.sniff(header);
+
+        if (!format) {
+            return { format: null, mime: null, error: 'Unrecognized or corrupt image data', warning: null };
+        }
+
+        const tail = new Uint8Array(await blob.slice(Math.max(0, blob.size - this.tailSize)).arrayBuffer());
+        const problem = this.checkComplete(format, header, tail, blob.size);
+        const isWarning = format === 'jpeg';
+
+        return {
+            format: format,
+            mime: this.formats[format].mime,
+            error: isWarning ? null : problem,
+            warning: isWarning ? problem : null
+        };
+    }
+
+    /**
+     * Look for the end-of-image marker or declared length of each format
+     */
+    checkComplete(format, header, tail, size) {
+        const tailContains = (sequence) => {
+            for (let i = 0; i <= tail.length - sequence.length; i++) {
+                if (sequence.every((byte, index) => tail[i + index] === byte)) return true;
+            }
+            return false;
+        };
+        const readUint32LE = (offset) =>
+            (header[offset] | (header[offset + 1] << 8) | (header[offset + 2] << 16) | (header[offset + 3] << 24)) >>> 0;
+
+        switch (format) {
+            case 'jpeg':
+                return tailContains([0xFF, 0xD9]) ? null : 'JPEG end-of-image marker not found (truncated or padded file)';
+            case 'png':
+                return tailContains([0x49, 0x45, 0x4E, 0x44]) ? null : 'Truncated PNG (missing IEND chunk)';
+            case 'gif':
+                return tailContains([0x3B]) ? null : 'Truncated GIF (missing trailer)';
+            case 'webp':
+                // RIFF size counts everything after the 8-byte chunk header
+                return size >= readUint32LE(4) + 8 ? null : 'Truncated WebP (file shorter than declared size)';
+            case 'bmp':
+                return size >= readUint32LE(2) ? null : 'Truncated BMP (file shorter than declared size)';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Fully decode formats every engine supports; returns an error message or null
+     */
+    async verifyDecode(blob, format) {
+        if (!this.alwaysDecodable.includes(format) || typeof createImageBitmap === 'undefined') {
+            return null;
+        }
+
+        try {
+            const bitmap = await createImageBitmap(blob);
+            bitmap.close();
+            return null;
+        } catch (error) {
+            return `Corrupt ${format.toUpperCase()} image (failed to decode)`;
+        }
+    }
+
+    // ==========================================================================
+    // Display Fallbacks
+    // ==========================================================================
+
+    /**
+     * Return a blob the browser can display, decoding JPEG XL/TIFF in script when needed
+     */
+    async toDisplayBlob(blob, format = null) {
+        if (!format) {
+            const header = new Uint8Array(await blob.slice(0, this.headerSize).arrayBuffer());
+            format = this.sniff(header);
+        }
+
+        if (format !== 'jxl' && format !== 'tiff') return blob;
+        if (await this.canDisplay(blob, format)) return blob;
+
+        const imageData = format === 'jxl' ?
+            await this.decodeJxl(blob) :
+            await this.decodeTiff(blob);
+
+        return this.imageDataToBlob(imageData);
+    }
+
+    /**
+     * Check once per format whether the engine decodes it natively
+     */
+    async canDisplay(blob, format) {
+        if (format in this.nativeSupport) return this.nativeSupport[format];
+
+        try {
+            const bitmap = await createImageBitmap(blob);
+            bitmap.close();
+            this.nativeSupport[format] = true;
+        } catch (error) {
+            this.nativeSupport[format] = false;
+        }
+
+        console.log(`Native ${format} support:`, this.nativeSupport[format]);
+        return this.nativeSupport[format];
+    }
+
+    /**
+     * Decode JPEG XL with the jSquash WebAssembly decoder
+     */
+    async decodeJxl(blob) {
+        if (!this.decoders.jxl) {
+            const decoderModule = await import(this.jxlDecoderUrl);
+            this.decoders.jxl = decoderModule.default;
+        }
+
+        return this.decoders.jxl(await blob.arrayBuffer());
+    }
+
+    /**
+     * Decode the first TIFF page with UTIF.js
+     */
+    async decodeTiff(blob) {
+        if (!this.decoders.tiff) {
+            await this.loadScript(this.tiffDecoderUrl);
+            this.decoders.tiff = window.UTIF;
+        }
+
+        const UTIF = this.decoders.tiff;
+        const buffer = await blob.arrayBuffer();
+        const ifds = UTIF.decode(buffer);
+        if (ifds.length === 0) {
+            throw new Error('TIFF file contains no images');
+        }
+
+        UTIF.decodeImage(buffer, ifds[0]);
+        const rgba = UTIF.toRGBA8(ifds[0]);
+        return new ImageData(new Uint8ClampedArray(rgba.buffer), ifds[0].width, ifds[0].height);
+    }
+
+    /**
+     * Encode decoded pixels as PNG
+     */
+    async imageDataToBlob(imageData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(result => result ? resolve(result) : reject(new Error('Failed to encode image')), 'image/png');
+        });
+    }
+
+    /**
+     * Load a classic script once
+     */
+    loadScript(url) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Failed to load ${url}`));
+            document.head.appendChild(script);
+        });
+    }
+}
+
+// Create global instance
+const imageSniffer = new ImageSniffer();
+
+// Export for module systems if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageSniffer;
+}
@@ -0,0 +1,53 @@
+/**
+ * Import Worker - Runs archive extraction off the main thread
+ * Loads the same FileManager pipeline and reports structured progress messages
+ */
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+    'utils.js?v=20261019',
+    'archive-reader.js?v=20261019',
+    'image-sniffer.js?v=20261019',
+    'translation-adapters.js?v=20261019',
+    'file-manager.js?v=20261019'
+);
+
+/**
+ * Post a progress update to the main thread
+ */
+function reportProgress(progress, message, details = {}) {
+    self.postMessage({
+        type: 'progress',
+        progress: progress,
+        message: message,
+        details: details
+    });
+}
+
+/**
+ * Run one import and post its result (or error) back
+ */
+async function runImport(source, options = {}) {
+    // Inside the worker the pipeline always runs inline
+    fileManager.useWorker = false;
+    fileManager.concurrency = options.concurrency || fileManager.concurrency;
+    fileManager.transcode = options.transcode || fileManager.transcode;
+
+    try {
+        const result = source.kind === 'folder' ?
+            await fileManager.processFolder(source.files, reportProgress) :
+            await fileManager.processZipFile(source.file, reportProgress);
+
+        self.postMessage({ type: 'result', result: result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || 'Failed to process file' });
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'start') {
+        runImport(message.source, message.options);
+    }
+};
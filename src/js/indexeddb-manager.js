@@ -1,14 +1,36 @@
 /**
  * IndexedDB Manager - Handles large file storage for manga data
- * Used for storing image blobs that are too large for sessionStorage
+ * Persistent library of series; each series keeps its own retention policy.
+ *
+ * Schema v3 keeps four stores:
+ *   series       - { name, uploadDate, retention, expiresAt, files } where files is the
+ *                  series without blobs/JSON: pages and revisions refer to translations by id
+ *   pages        - { series, pageIndex, hash } one page each; { ..., blob } when the
+ *                  image couldn't be hashed
+ *   blobs        - { hash, blob, size, refs } page images stored once by SHA-256,
+ *                  refs counts the pages pointing at them
+ *   translations - { series, id, data } one translation JSON each
+ * so the reader can load a single page without reading the whole series, and
+ * identical pages in re-imports or overlapping volumes take no extra space.
  */
 
 class IndexedDBManager {
     constructor() {
         this.dbName = 'MangaReader';
-        this.version = 1;
+        this.version = 3;
         this.db = null;
-        this.storeName = 'mangaSeries';
+        this.stores = {
+            series: 'series',
+            pages: 'pages',
+            blobs: 'blobs',
+            translations: 'translations'
+        };
+        this.legacyStoreName = 'mangaSeries'; // v1: one record per series with every blob inline
+        
+        // Retention modes: keep until deleted, keep N days, or evict when space runs low
+        this.retentionModes = ['forever', 'days', 'auto'];
+        this.defaultRetention = { mode: 'forever', days: null };
+        this.lowSpaceThreshold = 0.9; // Fraction of quota that counts as "low space"
     }
 
     /**
@@ -25,142 +47,1147 @@ class IndexedDBManager {
             
             request.onsuccess = () => {
                 this.db = request.result;
+
+                // Let a newer schema in another tab upgrade instead of blocking it
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+
                 console.log('IndexedDB initialized successfully');
                 resolve();
             };
+
+            request.onblocked = () => {
+                console.warn('IndexedDB upgrade waiting for other open tabs to close');
+            };
             
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Create object store for manga series
-                if (!db.objectStoreNames.contains(this.storeName)) {
-                    const store = db.createObjectStore(this.storeName, { keyPath: 'name' });
-                    store.createIndex('uploadDate', 'uploadDate', { unique: false });
+                this.upgradeSchema(event.target.result, event.target.transaction, event.oldVersion);
+            };
+        });
+    }
+
+    // ==========================================================================
+    // Schema
+    // ==========================================================================
+
+    /**
+     * Create missing stores and migrate older schemas (runs in the versionchange transaction)
+     */
+    upgradeSchema(db, transaction, oldVersion) {
+        if (!db.objectStoreNames.contains(this.stores.series)) {
+            const store = db.createObjectStore(this.stores.series, { keyPath: 'name' });
+            store.createIndex('uploadDate', 'uploadDate', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(this.stores.pages)) {
+            db.createObjectStore(this.stores.pages, { keyPath: ['series', 'pageIndex'] });
+        }
+
+        if (!db.objectStoreNames.contains(this.stores.blobs)) {
+            db.createObjectStore(this.stores.blobs, { keyPath: 'hash' });
+        }
+
+        if (!db.objectStoreNames.contains(this.stores.translations)) {
+            db.createObjectStore(this.stores.translations, { keyPath: ['series', 'id'] });
+        }
+
+        if (oldVersion < 2 && db.objectStoreNames.contains(this.legacyStoreName)) {
+            this.migrateLegacySeries(db, transaction);
+        }
+    }
+
+    /**
+     * Split every v1 record into the v2 stores, then drop the v1 store
+     */
+    migrateLegacySeries(db, transaction) {
+        const request = transaction.objectStore(this.legacyStoreName).openCursor();
+        const blobChanges = new Map();
+        let migrated = 0;
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+
+            if (cursor) {
+                // The oldest records kept images/translations/matched at the top level
+                const { files, images, translations, matched, ...series } = cursor.value;
+                this.writeSeriesRecords(transaction, series, files || {
+                    images: images || [],
+                    translations: translations || [],
+                    matched: matched || []
+                }, blobChanges);
+                migrated++;
+                cursor.continue();
+            } else {
+                this.applyBlobChanges(transaction, blobChanges);
+                db.deleteObjectStore(this.legacyStoreName);
+                console.log(`Migrated ${migrated} series to schema v${this.version}`);
+            }
+        };
+
+        request.onerror = () => {
+            console.error('Failed to migrate series:', request.error);
+        };
+    }
+
+    /**
+     * Move page images stored inline (older schemas, or pages that failed to hash
+     * at import) into the blob store. Hashing is async and can't run in an upgrade,
+     * so this is a separate pass after init(), one series at a time.
+     */
+    async moveInlinePages() {
+        if (!this.db) return 0;
+
+        let moved = 0;
+
+        for (const name of await this.listAllSeries()) {
+            const inline = (await this.getPageRecords(name)).filter(record => record.blob && !record.hash);
+            const hashed = [];
+
+            for (const record of inline) {
+                try {
+                    const hash = await FileUtils.hashBlob(record.blob);
+                    if (hash) hashed.push({ ...record, hash: hash });
+                } catch (error) {
+                    console.warn(`Failed to hash page ${record.pageIndex} of "${name}", leaving it inline:`, error);
+                }
+            }
+
+            if (hashed.length > 0) {
+                moved += await this.storePageHashes(name, hashed);
+            }
+        }
+
+        if (moved > 0) {
+            console.log(`Moved ${moved} page images to the shared blob store`);
+        }
+
+        return moved;
+    }
+
+    /**
+     * Read every page record of a series
+     */
+    async getPageRecords(name) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.stores.pages], 'readonly');
+            const request = transaction.objectStore(this.stores.pages).getAll(this.seriesRange(name));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Swap inline page records for hashed ones. Pages changed since they were
+     * hashed are left alone. Resolves with the number of pages moved.
+     */
+    async storePageHashes(name, hashed) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.allStores('readwrite');
+            const pages = transaction.objectStore(this.stores.pages);
+            const seriesStore = transaction.objectStore(this.stores.series);
+            const request = pages.getAll(this.seriesRange(name));
+            let moving = [];
+
+            request.onsuccess = () => {
+                const current = new Map(request.result.map(record => [record.pageIndex, record]));
+                moving = hashed.filter(page => {
+                    const record = current.get(page.pageIndex);
+                    return record && record.blob && !record.hash && record.blob.size === page.blob.size;
+                });
+                if (moving.length === 0) return;
+
+                const blobChanges = new Map();
+                this.collectBlobChanges(blobChanges, [], moving);
+                this.applyBlobChanges(transaction, blobChanges);
+                moving.forEach(page => pages.put(this.toPageRecord(page)));
+
+                // Keep the hashes in the series record in step with the page records
+                const seriesRequest = seriesStore.get(name);
+                seriesRequest.onsuccess = () => {
+                    const series = seriesRequest.result;
+                    if (!series?.files?.matched) return;
+
+                    moving.forEach(page => {
+                        const entry = series.files.matched[page.pageIndex];
+                        if (entry?.image) entry.image.hash = page.hash;
+                    });
+                    seriesStore.put(series);
+                };
+            };
+
+            transaction.oncomplete = () => resolve(moving.length);
+            transaction.onerror = () => {
+                console.error(`Failed to move page images of "${name}":`, transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Key range covering every page or translation record of a series
+     */
+    seriesRange(name) {
+        // Arrays sort after numbers, so [name, []] is above every [name, index]
+        return IDBKeyRange.bound([name], [name, []]);
+    }
+
+    /**
+     * Split a file set into the series record's files plus page and translation records.
+     * Translations are numbered by identity, so a record shared by several pages
+     * (or kept by a revision) is stored once.
+     */
+    splitSeriesFiles(name, files) {
+        const { images, translations, matched, revisions, ...rest } = files || {};
+        const ids = new Map();
+        const translationMeta = [];
+        const translationRecords = [];
+        const pageRecords = [];
+
+        const toId = (translation) => {
+            if (!translation) return null;
+
+            if (!ids.has(translation)) {
+                const { data, ...meta } = translation;
+                const id = translationMeta.length;
+                ids.set(translation, id);
+                translationMeta.push({
+                    ...meta,
+                    id: id,
+                    hasOriginalText: !!data?.blocks?.some(block => block.original)
+                });
+                translationRecords.push({ series: name, id: id, data: data ?? null });
+            }
+            return ids.get(translation);
+        };
+        const toLayerIds = (layers) => Object.fromEntries(
+            Object.entries(layers || {}).map(([language, layer]) => [language, toId(layer)])
+        );
+
+        const pages = (matched || []).map((page, pageIndex) => {
+            const { blob, ...image } = page.image || {};
+            pageRecords.push({ series: name, pageIndex: pageIndex, hash: image.hash || null, blob: blob || null });
+
+            return {
+                ...page,
+                pageIndex: pageIndex,
+                image: image,
+                translation: toId(page.translation),
+                layers: toLayerIds(page.layers)
+            };
+        });
+
+        const split = {
+            ...rest,
+            matched: pages,
+            translations: (translations || []).map(toId)
+        };
+
+        if (revisions) {
+            split.revisions = revisions.map(revision => ({
+                ...revision,
+                pages: Object.fromEntries(
+                    Object.entries(revision.pages || {}).map(([pageKey, translation]) => [pageKey, toId(translation)])
+                ),
+                layers: revision.layers && Object.fromEntries(
+                    Object.entries(revision.layers).map(([pageKey, layers]) => [pageKey, toLayerIds(layers)])
+                )
+            }));
+        }
+
+        split.translationMeta = translationMeta;
+
+        return { files: split, pages: pageRecords, translations: translationRecords };
+    }
+
+    /**
+     * Rebuild a file set from a series record's files.
+     * With records ({ pages, translations }) the blobs and JSON are filled in;
+     * without, pages carry metadata only and translations keep their id for getPageData.
+     */
+    joinSeriesFiles(files, records = null) {
+        const { translationMeta, ...rest } = files;
+        const blobs = new Map((records?.pages || []).map(page => [page.pageIndex, page.blob]));
+        const data = new Map((records?.translations || []).map(translation => [translation.id, translation.data]));
+
+        const translations = (translationMeta || []).map(meta => {
+            if (!records) return { ...meta };
+
+            const { id, hasOriginalText, ...translation } = meta;
+            return { ...translation, data: data.get(id) ?? null };
+        });
+        const fromId = id => (id === null || id === undefined) ? null : translations[id] || null;
+        const fromLayerIds = (layers) => Object.fromEntries(
+            Object.entries(layers || {}).map(([language, id]) => [language, fromId(id)])
+        );
+
+        const matched = (files.matched || []).map(page => ({
+            ...page,
+            image: records ? { ...page.image, blob: blobs.get(page.pageIndex) || null } : { ...page.image },
+            translation: fromId(page.translation),
+            layers: fromLayerIds(page.layers)
+        }));
+
+        const joined = {
+            ...rest,
+            images: matched.map(page => page.image),
+            translations: (files.translations || []).map(fromId),
+            matched: matched
+        };
+
+        if (files.revisions) {
+            joined.revisions = files.revisions.map(revision => ({
+                ...revision,
+                pages: Object.fromEntries(
+                    Object.entries(revision.pages || {}).map(([pageKey, id]) => [pageKey, fromId(id)])
+                ),
+                layers: revision.layers && Object.fromEntries(
+                    Object.entries(revision.layers).map(([pageKey, layers]) => [pageKey, fromLayerIds(layers)])
+                )
+            }));
+        }
+
+        return joined;
+    }
+
+    /**
+     * Replace a series' records inside a readwrite transaction over every store.
+     * Pass blobChanges to collect reference changes and apply them later
+     * (needed when several series are written in one transaction).
+     */
+    writeSeriesRecords(transaction, series, files, blobChanges = null) {
+        const split = this.splitSeriesFiles(series.name, files);
+        const translations = transaction.objectStore(this.stores.translations);
+
+        this.replacePages(transaction, series.name, split.pages, blobChanges);
+        translations.delete(this.seriesRange(series.name));
+
+        // Writing pages again restores a series trimmed to its thumbnail
+        const { thumbnailOnly, ...record } = series;
+        transaction.objectStore(this.stores.series).put({
+            ...record,
+            files: split.files,
+            storedSize: this.measureRecords(split)
+        });
+        split.translations.forEach(translation => translations.put(translation));
+    }
+
+    /**
+     * Swap a series' page records for new ones (none to delete them),
+     * moving blob references from the old pages to the new
+     */
+    replacePages(transaction, name, newPages, blobChanges = null) {
+        const pages = transaction.objectStore(this.stores.pages);
+        const oldPages = pages.getAll(this.seriesRange(name));
+
+        oldPages.onsuccess = () => {
+            const changes = blobChanges || new Map();
+            this.collectBlobChanges(changes, oldPages.result, newPages);
+            if (!blobChanges) this.applyBlobChanges(transaction, changes);
+
+            pages.delete(this.seriesRange(name));
+            newPages.forEach(page => pages.put(this.toPageRecord(page)));
+        };
+    }
+
+    /**
+     * Stored form of a page: a hash into the blob store, or the blob itself when unhashed
+     */
+    toPageRecord(page) {
+        return page.hash ?
+            { series: page.series, pageIndex: page.pageIndex, hash: page.hash } :
+            { series: page.series, pageIndex: page.pageIndex, blob: page.blob };
+    }
+
+    /**
+     * Tally reference changes per hash: -1 per removed page, +1 per added page
+     */
+    collectBlobChanges(changes, removedPages, addedPages) {
+        const change = (hash) => {
+            if (!changes.has(hash)) changes.set(hash, { delta: 0, blob: null });
+            return changes.get(hash);
+        };
+
+        removedPages.filter(page => page.hash).forEach(page => {
+            change(page.hash).delta--;
+        });
+        addedPages.filter(page => page.hash).forEach(page => {
+            const entry = change(page.hash);
+            entry.delta++;
+            entry.blob = entry.blob || page.blob || null;
+        });
+    }
+
+    /**
+     * Write tallied reference changes: new blobs are stored, blobs nothing
+     * points at any more are deleted. Apply once per transaction, since each
+     * hash is read and then written.
+     */
+    applyBlobChanges(transaction, changes) {
+        const store = transaction.objectStore(this.stores.blobs);
+
+        for (const [hash, change] of changes) {
+            if (change.delta === 0) continue;
+
+            const request = store.get(hash);
+            request.onsuccess = () => {
+                const record = request.result;
+                const refs = (record?.refs || 0) + change.delta;
+
+                if (refs <= 0) {
+                    if (record) store.delete(hash);
+                } else if (record) {
+                    store.put({ ...record, refs: refs });
+                } else if (change.blob) {
+                    store.put({ hash: hash, blob: change.blob, size: change.blob.size, refs: refs });
                 }
             };
+        }
+    }
+
+    /**
+     * Hash page images that don't have a hash yet, so they can be shared
+     */
+    async hashPages(files) {
+        for (const page of files?.matched || []) {
+            const image = page.image;
+            if (!image || image.hash || !image.blob) continue;
+
+            try {
+                image.hash = await FileUtils.hashBlob(image.blob);
+            } catch (error) {
+                console.warn(`Failed to hash ${image.path || image.filename}, storing it unshared:`, error);
+            }
+        }
+    }
+
+    /**
+     * Fill in blobs of hashed page records from the blob store (inside a transaction with both stores)
+     */
+    resolvePageBlobs(transaction, records) {
+        const blobs = transaction.objectStore(this.stores.blobs);
+
+        records.filter(record => !record.blob && record.hash).forEach(record => {
+            const request = blobs.get(record.hash);
+            request.onsuccess = () => {
+                record.blob = request.result?.blob || null;
+            };
         });
     }
 
     /**
-     * Store manga series data
+     * Summarise the shared blob store: { count, size, references, saved }
+     * where saved is what storing each reference separately would have cost extra
+     */
+    async getBlobStats() {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.stores.blobs], 'readonly');
+            const request = transaction.objectStore(this.stores.blobs).openCursor();
+            const stats = { count: 0, size: 0, references: 0, saved: 0 };
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+
+                if (cursor) {
+                    const { size, refs } = cursor.value;
+                    stats.count++;
+                    stats.size += size || 0;
+                    stats.references += refs || 0;
+                    stats.saved += (size || 0) * Math.max(0, (refs || 0) - 1);
+                    cursor.continue();
+                } else {
+                    resolve(stats);
+                }
+            };
+
+            request.onerror = () => {
+                console.error('Failed to read blob store:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Bytes a split series takes up: page blobs, translation JSON and the thumbnail
+     */
+    measureRecords(split) {
+        const pageBytes = split.pages.reduce((sum, page) => sum + (page.blob?.size || 0), 0);
+        const translationBytes = split.translations.reduce((sum, translation) =>
+            sum + (translation.data ? JSON.stringify(translation.data).length : 0), 0);
+
+        return pageBytes + translationBytes + (split.files.thumbnail?.size || 0);
+    }
+
+    /**
+     * Bytes a file set will take up once stored
+     */
+    estimateStoredSize(files) {
+        return this.measureRecords(this.splitSeriesFiles('', files));
+    }
+
+    /**
+     * Bytes storing a file set will add: like estimateStoredSize, minus
+     * page images already in the blob store. Hashes the pages first.
+     */
+    async estimateAddedSize(files) {
+        await this.hashPages(files);
+        const split = this.splitSeriesFiles('', files);
+        const hashes = [...new Set(split.pages.map(page => page.hash).filter(Boolean))];
+        if (!this.db || hashes.length === 0) return this.measureRecords(split);
+
+        const stored = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.stores.blobs], 'readonly');
+            const store = transaction.objectStore(this.stores.blobs);
+            const found = new Set();
+
+            hashes.forEach(hash => {
+                const request = store.count(hash);
+                request.onsuccess = () => {
+                    if (request.result > 0) found.add(hash);
+                };
+            });
+
+            transaction.oncomplete = () => resolve(found);
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        // Identical pages within the upload are stored once as well
+        const counted = new Set();
+        const newPages = split.pages.filter(page => {
+            if (!page.hash) return true;
+            if (stored.has(page.hash) || counted.has(page.hash)) return false;
+            counted.add(page.hash);
+            return true;
+        });
+
+        return this.measureRecords({ ...split, pages: newPages });
+    }
+
+    /**
+     * Open a transaction over every store
+     */
+    allStores(mode) {
+        return this.db.transaction(Object.values(this.stores), mode);
+    }
+
+    /**
+     * Ask the browser not to evict our data under storage pressure
+     */
+    async requestPersistence() {
+        if (!navigator.storage || !navigator.storage.persist) {
+            return false;
+        }
+
+        try {
+            if (await navigator.storage.persisted()) {
+                return true;
+            }
+
+            const granted = await navigator.storage.persist();
+            console.log(`Persistent storage ${granted ? 'granted' : 'denied'}`);
+            return granted;
+        } catch (error) {
+            console.error('Failed to request persistent storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Normalize a retention policy
+     */
+    normalizeRetention(retention) {
+        if (!retention || !this.retentionModes.includes(retention.mode)) {
+            return { ...this.defaultRetention };
+        }
+
+        if (retention.mode === 'days') {
+            const days = Math.max(1, parseInt(retention.days) || 30);
+            return { mode: 'days', days };
+        }
+
+        return { mode: retention.mode, days: null };
+    }
+
+    /**
+     * Compute expiry timestamp for a retention policy (null = never)
+     */
+    getExpiry(retention, from = Date.now()) {
+        return retention.mode === 'days' ? from + (retention.days * 24 * 60 * 60 * 1000) : null;
+    }
+
+    /**
+     * Check if a stored series has expired.
+     * Records without a retention policy predate the library and are kept.
      */
-    async storeSeries(name, files) {
+    isExpired(series) {
+        return !!series.retention &&
+               series.retention.mode === 'days' &&
+               !!series.expiresAt &&
+               series.expiresAt < Date.now();
+    }
+
+    /**
+     * Store manga series data.
+     * Options: retention, signal, uploadDate (defaults to now) and keep, names
+     * that must not be evicted to make room besides this series itself.
+     */
+    async storeSeries(name, files, options = {}) {
         if (!this.db) {
             throw new Error('IndexedDB not initialized');
         }
 
+        const retention = this.normalizeRetention(options.retention);
+        const signal = options.signal || null;
+        const uploadDate = options.uploadDate || Date.now();
+        const keep = [name, ...(options.keep || [])];
+
+        const estimatedSize = await this.estimateAddedSize(files);
+
+        // Make room first if the browser is close to its quota
+        await this.ensureSpace(estimatedSize, keep);
+
+        try {
+            await this.putSeries(name, files, retention, signal, uploadDate);
+        } catch (error) {
+            if (!IndexedDBManager.isQuotaError(error)) throw error;
+
+            // Out of space: evict auto-retention series and retry once
+            const evicted = await this.evictForSpace(estimatedSize, keep, true);
+            if (evicted.length === 0) throw error;
+            await this.putSeries(name, files, retention, signal, uploadDate);
+        }
+    }
+
+    /**
+     * Write series record in a single transaction.
+     * Aborting the signal aborts the transaction, so nothing is written.
+     */
+    async putSeries(name, files, retention, signal = null, uploadDate = Date.now()) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
+            if (signal && signal.aborted) {
+                reject(new DOMException('Storing cancelled', 'AbortError'));
+                return;
+            }
+
+            const transaction = this.allStores('readwrite');
             
-            const seriesData = {
+            const series = {
                 name: name,
-                files: files,
-                uploadDate: Date.now(),
-                expiresAt: Date.now() + (24 * 60 * 60 * 1000) // Expire after 24 hours
+                uploadDate: uploadDate,
+                retention: retention,
+                expiresAt: this.getExpiry(retention, uploadDate)
             };
             
             console.log(`Storing series "${name}" in IndexedDB with data:`, {
                 images: files?.images?.length,
                 matched: files?.matched?.length,
-                size: JSON.stringify(seriesData).length
+                translations: files?.translations?.length
             });
             
-            const request = store.put(seriesData);
+            const onAbortSignal = () => {
+                try {
+                    transaction.abort();
+                } catch (error) {
+                    // Transaction already finished
+                }
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbortSignal, { once: true });
+            }
+
+            this.writeSeriesRecords(transaction, series, files);
+            
+            // Wait for the entire transaction to complete
+            transaction.oncomplete = () => {
+                if (signal) signal.removeEventListener('abort', onAbortSignal);
+                console.log(`Series "${name}" stored successfully in IndexedDB`);
+                resolve();
+            };
+            
+            transaction.onerror = () => {
+                console.error('Transaction failed:', transaction.error);
+                reject(transaction.error);
+            };
+
+            // Quota errors surface as an aborted transaction
+            transaction.onabort = () => {
+                if (signal) signal.removeEventListener('abort', onAbortSignal);
+
+                if (!transaction.error && signal && signal.aborted) {
+                    console.log(`Storing series "${name}" cancelled`);
+                    reject(new DOMException('Storing cancelled', 'AbortError'));
+                    return;
+                }
+
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Update retention policy of a stored series
+     */
+    async updateRetention(name, retention) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        const normalized = this.normalizeRetention(retention);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.stores.series], 'readwrite');
+            const store = transaction.objectStore(this.stores.series);
+            const request = store.get(name);
+
+            request.onsuccess = () => {
+                const series = request.result;
+                if (!series) {
+                    reject(new Error(`Series "${name}" not found`));
+                    return;
+                }
+
+                series.retention = normalized;
+                series.expiresAt = this.getExpiry(normalized);
+                store.put(series);
+            };
+
+            transaction.oncomplete = () => {
+                console.log(`Retention for "${name}" set to`, normalized);
+                resolve(normalized);
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to update retention:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Retrieve manga series data with every page image and translation
+     */
+    async getSeries(name) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.allStores('readonly');
+            const request = transaction.objectStore(this.stores.series).get(name);
+            const pagesRequest = transaction.objectStore(this.stores.pages).getAll(this.seriesRange(name));
+            const translationsRequest = transaction.objectStore(this.stores.translations).getAll(this.seriesRange(name));
+
+            pagesRequest.onsuccess = () => this.resolvePageBlobs(transaction, pagesRequest.result);
+            
+            transaction.oncomplete = () => {
+                const result = request.result;
+                
+                console.log(`IndexedDB lookup for "${name}":`, result ? 'found' : 'not found');
+                
+                if (result) {
+                    // Check if data has expired
+                    if (this.isExpired(result)) {
+                        console.log(`Series "${name}" has expired, removing...`);
+                        this.deleteSeries(name);
+                        resolve(null);
+                        return;
+                    }
+
+                    if (result.thumbnailOnly) {
+                        console.log(`Series "${name}" was trimmed to its thumbnail, pages need a re-upload`);
+                        resolve(null);
+                        return;
+                    }
+                    
+                    const series = {
+                        ...result,
+                        files: this.joinSeriesFiles(result.files, {
+                            pages: pagesRequest.result,
+                            translations: translationsRequest.result
+                        })
+                    };
+                    console.log(`Series "${name}" retrieved from IndexedDB`, {
+                        images: series.files.images.length,
+                        matched: series.files.matched.length
+                    });
+                    resolve(series);
+                } else {
+                    console.log(`Series "${name}" not found in IndexedDB`);
+                    resolve(null);
+                }
+            };
+            
+            transaction.onerror = () => {
+                console.error('Failed to retrieve series:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Retrieve a series without page images or translation JSON.
+     * Pages and translations are then read one at a time with getPageData.
+     * Series trimmed to their thumbnail are returned with thumbnailOnly set.
+     */
+    async getSeriesIndex(name) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.stores.series], 'readonly');
+            const request = transaction.objectStore(this.stores.series).get(name);
+
+            request.onsuccess = () => {
+                const result = request.result;
+
+                if (!result || this.isExpired(result)) {
+                    resolve(null);
+                    return;
+                }
+
+                resolve({ ...result, files: this.joinSeriesFiles(result.files) });
+            };
+
+            request.onerror = () => {
+                console.error('Failed to retrieve series index:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Read one page image and the given translations (ids from getSeriesIndex).
+     * Returns { blob, translations: { id: data } }
+     */
+    async getPageData(name, pageIndex, translationIds = []) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(
+                [this.stores.pages, this.stores.blobs, this.stores.translations], 'readonly');
+            const pageRequest = transaction.objectStore(this.stores.pages).get([name, pageIndex]);
+            pageRequest.onsuccess = () => {
+                if (pageRequest.result) this.resolvePageBlobs(transaction, [pageRequest.result]);
+            };
+            const translationStore = transaction.objectStore(this.stores.translations);
+            const translationRequests = translationIds.map(id => translationStore.get([name, id]));
+
+            transaction.oncomplete = () => {
+                const translations = {};
+                translationRequests.forEach((request, index) => {
+                    translations[translationIds[index]] = request.result?.data ?? null;
+                });
+
+                resolve({
+                    blob: pageRequest.result?.blob || null,
+                    translations: translations
+                });
+            };
+
+            transaction.onerror = () => {
+                console.error(`Failed to read page ${pageIndex + 1} of "${name}":`, transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Delete manga series data
+     */
+    async deleteSeries(name) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.allStores('readwrite');
+            transaction.objectStore(this.stores.series).delete(name);
+            this.replacePages(transaction, name, []);
+            transaction.objectStore(this.stores.translations).delete(this.seriesRange(name));
             
+            transaction.oncomplete = () => {
+                console.log(`Series "${name}" deleted from IndexedDB`);
+                resolve();
+            };
+            
+            transaction.onerror = () => {
+                console.error('Failed to delete series:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Rename a series, carrying its files and retention over to the new key
+     */
+    async renameSeries(oldName, newName) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.allStores('readwrite');
+            const store = transaction.objectStore(this.stores.series);
+            let failure = null;
+
+            const getOld = store.get(oldName);
+            getOld.onsuccess = () => {
+                const series = getOld.result;
+                if (!series) {
+                    failure = new Error(`Series "${oldName}" not found`);
+                    transaction.abort();
+                    return;
+                }
+
+                const getNew = store.count(newName);
+                getNew.onsuccess = () => {
+                    if (getNew.result > 0) {
+                        failure = new Error(`A series named "${newName}" already exists`);
+                        transaction.abort();
+                        return;
+                    }
+
+                    // Name is the keyPath, so write under the new key and drop the old one
+                    store.put({ ...series, name: newName });
+                    store.delete(oldName);
+
+                    // Page and translation keys start with the series name as well
+                    for (const storeName of [this.stores.pages, this.stores.translations]) {
+                        const recordStore = transaction.objectStore(storeName);
+                        const records = recordStore.getAll(this.seriesRange(oldName));
+
+                        records.onsuccess = () => {
+                            records.result.forEach(record => recordStore.put({ ...record, series: newName }));
+                            recordStore.delete(this.seriesRange(oldName));
+                        };
+                    }
+                };
+            };
+
+            transaction.oncomplete = () => {
+                console.log(`Series "${oldName}" renamed to "${newName}"`);
+                resolve();
+            };
+
+            transaction.onabort = () => {
+                reject(failure || transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Replace the files of a stored series, keeping its retention and upload date.
+     * Aborting options.signal aborts the transaction, so nothing is written.
+     */
+    async updateSeriesFiles(name, files, options = {}) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        const signal = options.signal || null;
+        await this.hashPages(files);
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Storing cancelled', 'AbortError'));
+                return;
+            }
+
+            const transaction = this.allStores('readwrite');
+            const store = transaction.objectStore(this.stores.series);
+            const detachSignal = this.linkAbortSignal(transaction, signal);
+            let failure = null;
+
+            const request = store.get(name);
             request.onsuccess = () => {
-                console.log(`Series "${name}" stored successfully in IndexedDB`);
-                // Don't resolve immediately, wait for transaction to complete
-            };
-            
-            request.onerror = () => {
-                console.error('Failed to store series:', request.error);
-                reject(request.error);
+                const series = request.result;
+                if (!series) {
+                    failure = new Error(`Series "${name}" not found`);
+                    transaction.abort();
+                    return;
+                }
+
+                this.writeSeriesRecords(transaction, { ...series, updatedDate: Date.now() }, files);
             };
-            
-            // Wait for the entire transaction to complete
+
             transaction.oncomplete = () => {
-                console.log(`Transaction completed for series "${name}"`);
+                detachSignal();
+                console.log(`Files for series "${name}" updated`);
                 resolve();
             };
-            
-            transaction.onerror = () => {
-                console.error('Transaction failed:', transaction.error);
-                reject(transaction.error);
+
+            transaction.onabort = () => {
+                detachSignal();
+                reject(failure || this.getAbortError(transaction, signal));
             };
         });
     }
 
     /**
-     * Retrieve manga series data
+     * Find a stored series whose content hash matches (duplicate detection)
      */
-    async getSeries(name) {
+    async findSeriesByContentHash(contentHash) {
         if (!this.db) {
             throw new Error('IndexedDB not initialized');
         }
 
+        if (!contentHash) return null;
+
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readonly');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.get(name);
-            
-            request.onsuccess = () => {
-                const result = request.result;
-                
-                console.log(`IndexedDB lookup for "${name}":`, result ? 'found' : 'not found');
-                
-                if (result) {
-                    // Check if data has expired
-                    if (result.expiresAt < Date.now()) {
-                        console.log(`Series "${name}" has expired, removing...`);
-                        this.deleteSeries(name);
-                        resolve(null);
-                        return;
-                    }
-                    
-                    console.log(`Series "${name}" retrieved from IndexedDB`, {
-                        images: result.files?.images?.length,
-                        matched: result.files?.matched?.length
-                    });
-                    resolve(result);
-                } else {
-                    console.log(`Series "${name}" not found in IndexedDB`);
+            const transaction = this.db.transaction([this.stores.series], 'readonly');
+            const store = transaction.objectStore(this.stores.series);
+            const request = store.openCursor();
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+
+                if (!cursor) {
                     resolve(null);
+                } else if (!cursor.value.thumbnailOnly && this.hasContentHash(cursor.value.files, contentHash)) {
+                    resolve(cursor.value.name);
+                } else {
+                    cursor.continue();
                 }
             };
-            
+
             request.onerror = () => {
-                console.error('Failed to retrieve series:', request.error);
+                console.error('Failed to search series by content hash:', request.error);
                 reject(request.error);
             };
         });
     }
 
     /**
-     * Delete manga series data
+     * Add pages after the last page of a stored series, writing only their page and
+     * translation records. addition is a file set holding just the new pages;
+     * patch replaces series-wide fields (structure, stats, ...) in the stored record.
      */
-    async deleteSeries(name) {
+    async appendSeriesPages(name, addition, patch = {}, options = {}) {
         if (!this.db) {
             throw new Error('IndexedDB not initialized');
         }
 
+        const signal = options.signal || null;
+        await this.ensureSpace(await this.estimateAddedSize(addition), name);
+
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.delete(name);
-            
+            if (signal && signal.aborted) {
+                reject(new DOMException('Storing cancelled', 'AbortError'));
+                return;
+            }
+
+            const transaction = this.allStores('readwrite');
+            const store = transaction.objectStore(this.stores.series);
+            const detachSignal = this.linkAbortSignal(transaction, signal);
+            let failure = null;
+
+            const request = store.get(name);
             request.onsuccess = () => {
-                console.log(`Series "${name}" deleted from IndexedDB`);
+                const series = request.result;
+                if (!series || series.thumbnailOnly) {
+                    failure = new Error(`Series "${name}" has no stored pages to add to`);
+                    transaction.abort();
+                    return;
+                }
+
+                const pageOffset = series.files.matched.length;
+                const idOffset = series.files.translationMeta.length;
+                const shiftId = id => (id === null || id === undefined) ? id : id + idOffset;
+                const shiftLayers = layers => Object.fromEntries(
+                    Object.entries(layers || {}).map(([language, id]) => [language, shiftId(id)])
+                );
+
+                const split = this.splitSeriesFiles(name, addition);
+                const pages = split.pages.map(page => ({ ...page, pageIndex: page.pageIndex + pageOffset }));
+                const changes = new Map();
+                this.collectBlobChanges(changes, [], pages);
+                this.applyBlobChanges(transaction, changes);
+
+                const pageStore = transaction.objectStore(this.stores.pages);
+                pages.forEach(page => pageStore.put(this.toPageRecord(page)));
+
+                const translationStore = transaction.objectStore(this.stores.translations);
+                split.translations.forEach(translation =>
+                    translationStore.put({ ...translation, id: translation.id + idOffset }));
+
+                store.put({
+                    ...series,
+                    updatedDate: Date.now(),
+                    files: {
+                        ...series.files,
+                        ...patch,
+                        matched: [...series.files.matched, ...split.files.matched.map(page => ({
+                            ...page,
+                            pageIndex: page.pageIndex + pageOffset,
+                            translation: shiftId(page.translation),
+                            layers: shiftLayers(page.layers)
+                        }))],
+                        translations: [...series.files.translations, ...split.files.translations.map(shiftId)],
+                        translationMeta: [...series.files.translationMeta,
+                            ...split.files.translationMeta.map(meta => ({ ...meta, id: meta.id + idOffset }))]
+                    },
+                    storedSize: this.getStoredSize(series) + this.measureRecords(split)
+                });
+            };
+
+            transaction.oncomplete = () => {
+                detachSignal();
+                console.log(`Added ${addition.matched.length} pages to series "${name}"`);
                 resolve();
             };
-            
-            request.onerror = () => {
-                console.error('Failed to delete series:', request.error);
-                reject(request.error);
+
+            transaction.onabort = () => {
+                detachSignal();
+                reject(failure || this.getAbortError(transaction, signal));
             };
         });
     }
 
+    /**
+     * Abort a transaction when the signal fires. Returns a function that detaches the listener.
+     */
+    linkAbortSignal(transaction, signal) {
+        if (!signal) return () => {};
+
+        const onAbortSignal = () => {
+            try {
+                transaction.abort();
+            } catch (error) {
+                // Transaction already finished
+            }
+        };
+        signal.addEventListener('abort', onAbortSignal, { once: true });
+        return () => signal.removeEventListener('abort', onAbortSignal);
+    }
+
+    /**
+     * Error for an aborted transaction: an AbortError when the signal cancelled it
+     */
+    getAbortError(transaction, signal) {
+        if (!transaction.error && signal && signal.aborted) {
+            return new DOMException('Storing cancelled', 'AbortError');
+        }
+        return transaction.error;
+    }
+
+    /**
+     * Does a stored file set contain the archive with this hash (itself or one of its volumes)?
+     */
+    hasContentHash(files, contentHash) {
+        return files?.contentHash === contentHash ||
+            Object.values(files?.volumeHashes || {}).includes(contentHash);
+    }
+
     /**
      * Clean up expired series
      */
@@ -168,11 +1195,11 @@ class IndexedDBManager {
         if (!this.db) return;
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
+            const transaction = this.allStores('readwrite');
+            const store = transaction.objectStore(this.stores.series);
             const request = store.openCursor();
+            const blobChanges = new Map();
             
-            const now = Date.now();
             let deletedCount = 0;
             
             request.onsuccess = (event) => {
@@ -181,23 +1208,29 @@ class IndexedDBManager {
                 if (cursor) {
                     const series = cursor.value;
                     
-                    if (series.expiresAt < now) {
+                    if (this.isExpired(series)) {
                         cursor.delete();
+                        this.replacePages(transaction, series.name, [], blobChanges);
+                        transaction.objectStore(this.stores.translations).delete(this.seriesRange(series.name));
                         deletedCount++;
                     }
                     
                     cursor.continue();
                 } else {
-                    if (deletedCount > 0) {
-                        console.log(`Cleaned up ${deletedCount} expired series`);
-                    }
-                    resolve(deletedCount);
+                    this.applyBlobChanges(transaction, blobChanges);
+                }
+            };
+
+            transaction.oncomplete = () => {
+                if (deletedCount > 0) {
+                    console.log(`Cleaned up ${deletedCount} expired series`);
                 }
+                resolve(deletedCount);
             };
             
-            request.onerror = () => {
-                console.error('Failed to cleanup expired series:', request.error);
-                reject(request.error);
+            transaction.onerror = () => {
+                console.error('Failed to cleanup expired series:', transaction.error);
+                reject(transaction.error);
             };
         });
     }
@@ -223,6 +1256,355 @@ class IndexedDBManager {
         }
     }
 
+    /**
+     * Evict auto-retention series if the upcoming write would leave too little space.
+     * keep is a series name or a list of names that are never evicted.
+     */
+    async ensureSpace(bytesNeeded, keep = null) {
+        const info = await this.getStorageInfo();
+        if (typeof info.available !== 'number') return [];
+
+        const limit = info.available * this.lowSpaceThreshold;
+        if (info.used + bytesNeeded <= limit) return [];
+
+        return this.evictForSpace(info.used + bytesNeeded - limit, keep);
+    }
+
+    /**
+     * Delete auto-retention series, least recently read first, until enough bytes are freed.
+     * With force set, evicts every candidate (used after a quota error, when sizes are unknown).
+     */
+    async evictForSpace(bytesToFree, keep = null, force = false) {
+        const candidates = await this.getEvictionCandidates(keep, true);
+        const selected = force ? candidates : (await this.selectForRemoval(candidates, bytesToFree)).series;
+        const evicted = [];
+
+        for (const candidate of selected) {
+            await this.deleteSeries(candidate.name);
+            evicted.push(candidate.name);
+        }
+
+        if (evicted.length > 0) {
+            console.log(`Evicted ${evicted.length} series to free space:`, evicted);
+        }
+
+        return evicted;
+    }
+
+    /**
+     * List series that still hold pages, sorted by last read (oldest first).
+     * With autoOnly set, only series kept "until space runs low".
+     */
+    async getEvictionCandidates(keep = null, autoOnly = false) {
+        const kept = new Set([].concat(keep ?? []));
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.stores.series], 'readonly');
+            const store = transaction.objectStore(this.stores.series);
+            const request = store.openCursor();
+            const candidates = [];
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+
+                if (cursor) {
+                    const series = cursor.value;
+
+                    const eligible = !kept.has(series.name) && !series.thumbnailOnly &&
+                        (!autoOnly || series.retention?.mode === 'auto');
+
+                    if (eligible) {
+                        const progress = typeof storageManager !== 'undefined' ?
+                            storageManager.getProgress(series.name) : null;
+
+                        candidates.push({
+                            name: series.name,
+                            size: this.getStoredSize(series),
+                            lastRead: progress?.lastRead || series.uploadDate
+                        });
+                    }
+
+                    cursor.continue();
+                } else {
+                    candidates.sort((a, b) => a.lastRead - b.lastRead);
+                    resolve(candidates);
+                }
+            };
+
+            request.onerror = () => {
+                console.error('Failed to list eviction candidates:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Pick least recently read series until removing them frees bytesToFree.
+     * Returns { series: [{ name, size, lastRead }], freed, sufficient } where size is the bytes freed
+     */
+    async planEviction(bytesToFree, keepName = null) {
+        const candidates = await this.getEvictionCandidates(keepName);
+        const plan = await this.selectForRemoval(candidates, bytesToFree);
+
+        return { ...plan, sufficient: plan.freed >= bytesToFree };
+    }
+
+    /**
+     * Take candidates in order until bytesToFree would be freed. Series that free
+     * nothing (every page shared with a series that stays) are passed over.
+     * Returns { series: [candidate with size = bytes freed], freed }
+     */
+    async selectForRemoval(candidates, bytesToFree) {
+        const records = await this.readRemovalRecords(candidates.map(candidate => candidate.name));
+        let remainingRefs = new Map();
+        const selected = [];
+        let freed = 0;
+
+        for (const candidate of candidates) {
+            if (freed >= bytesToFree) break;
+
+            const trialRefs = new Map(remainingRefs);
+            const bytes = this.measureRemoval(records, candidate.name, trialRefs);
+            if (bytes === 0) continue;
+
+            remainingRefs = trialRefs;
+            selected.push({ ...candidate, size: bytes });
+            freed += bytes;
+        }
+
+        return { series: selected, freed: freed };
+    }
+
+    /**
+     * Read what measureRemoval needs for the given series:
+     * { series: Map(name -> record), pages: Map(name -> page records), blobs: Map(hash -> { size, refs }) }
+     */
+    async readRemovalRecords(names) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(
+                [this.stores.series, this.stores.pages, this.stores.blobs], 'readonly');
+            const blobStore = transaction.objectStore(this.stores.blobs);
+            const records = { series: new Map(), pages: new Map(), blobs: new Map() };
+
+            names.forEach(name => {
+                const seriesRequest = transaction.objectStore(this.stores.series).get(name);
+                seriesRequest.onsuccess = () => {
+                    if (seriesRequest.result) records.series.set(name, seriesRequest.result);
+                };
+
+                const pagesRequest = transaction.objectStore(this.stores.pages).getAll(this.seriesRange(name));
+                pagesRequest.onsuccess = () => {
+                    records.pages.set(name, pagesRequest.result);
+
+                    pagesRequest.result
+                        .filter(page => page.hash && !records.blobs.has(page.hash))
+                        .forEach(page => {
+                            records.blobs.set(page.hash, null);
+                            const blobRequest = blobStore.get(page.hash);
+                            blobRequest.onsuccess = () => {
+                                const blob = blobRequest.result;
+                                records.blobs.set(page.hash, blob ? { size: blob.size || 0, refs: blob.refs || 0 } : null);
+                            };
+                        });
+                };
+            });
+
+            transaction.oncomplete = () => resolve(records);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Bytes removing a series' pages (and thumbnail, unless kept) would free.
+     * A shared page blob only counts once its last reference goes; remainingRefs
+     * carries references already dropped by series removed before this one.
+     */
+    measureRemoval(records, name, remainingRefs = new Map(), keepThumbnail = false) {
+        const series = records.series.get(name);
+        if (!series) return 0;
+
+        let pageBytes = 0;
+        let freed = 0;
+
+        for (const page of records.pages.get(name) || []) {
+            if (page.blob) {
+                pageBytes += page.blob.size || 0;
+                freed += page.blob.size || 0;
+                continue;
+            }
+
+            const blob = records.blobs.get(page.hash);
+            if (!blob) continue;
+
+            pageBytes += blob.size;
+            const refs = (remainingRefs.has(page.hash) ? remainingRefs.get(page.hash) : blob.refs) - 1;
+            remainingRefs.set(page.hash, refs);
+            if (refs === 0) freed += blob.size;
+        }
+
+        // storedSize charges every page in full; what is left over is translation JSON and the thumbnail
+        const thumbnailSize = series.files?.thumbnail?.size || 0;
+        const translationBytes = Math.max(0, this.getStoredSize(series) - pageBytes - thumbnailSize);
+
+        return freed + translationBytes + (keepThumbnail ? 0 : thumbnailSize);
+    }
+
+    /**
+     * Check whether a write of bytesNeeded fits in the remaining quota.
+     * Returns { fits, needed, free, quota, used }; fits is true when the quota is unknown.
+     */
+    async checkQuota(bytesNeeded) {
+        const info = await this.getStorageInfo();
+        if (typeof info.available !== 'number') {
+            return { fits: true, needed: bytesNeeded, free: null, quota: null, used: null };
+        }
+
+        const free = Math.max(0, info.available - info.used);
+        return {
+            fits: bytesNeeded <= free,
+            needed: bytesNeeded,
+            free: free,
+            quota: info.available,
+            used: info.used
+        };
+    }
+
+    /**
+     * Drop a series' pages and translations but keep its record, cover and matches,
+     * so it stays in the library until the archive is uploaded again
+     */
+    async trimToThumbnail(name) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        const freed = this.measureRemoval(await this.readRemovalRecords([name]), name, new Map(), true);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.allStores('readwrite');
+            const store = transaction.objectStore(this.stores.series);
+            let failure = null;
+
+            const request = store.get(name);
+            request.onsuccess = () => {
+                const series = request.result;
+                if (!series) {
+                    failure = new Error(`Series "${name}" not found`);
+                    transaction.abort();
+                    return;
+                }
+
+                const thumbnailSize = series.files?.thumbnail?.size || 0;
+                store.put({ ...series, thumbnailOnly: true, storedSize: thumbnailSize });
+                this.replacePages(transaction, name, []);
+                transaction.objectStore(this.stores.translations).delete(this.seriesRange(name));
+            };
+
+            transaction.oncomplete = () => {
+                console.log(`Series "${name}" trimmed to its thumbnail, freed about ${freed} bytes`);
+                resolve(freed);
+            };
+
+            transaction.onabort = () => {
+                reject(failure || transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Bytes a stored series takes up (records from before this was tracked use the upload size)
+     */
+    getStoredSize(series) {
+        return series.storedSize ?? series.files?.stats?.totalSize ?? 0;
+    }
+
+    /**
+     * List library summaries (counts, cover, retention) for every stored series
+     */
+    async listSeriesSummaries() {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.stores.series], 'readonly');
+            const store = transaction.objectStore(this.stores.series);
+            const request = store.openCursor();
+            const summaries = [];
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+
+                if (cursor) {
+                    if (!this.isExpired(cursor.value)) {
+                        summaries.push(this.buildSummary(cursor.value));
+                    }
+                    cursor.continue();
+                } else {
+                    resolve(summaries);
+                }
+            };
+
+            request.onerror = () => {
+                console.error('Failed to list series summaries:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Build a lightweight summary of a stored series record
+     */
+    buildSummary(series) {
+        const files = series.files || {};
+        const matched = files.matched || [];
+
+        return {
+            name: series.name,
+            uploadDate: series.uploadDate,
+            retention: series.retention || null,
+            thumbnail: files.thumbnail || null,
+            pageCount: matched.length,
+            translatedCount: matched.filter(page => page.hasTranslation).length,
+            chapterCount: files.structure?.chapters?.length || 1,
+            totalSize: files.stats?.totalSize || 0,
+            storedSize: this.getStoredSize(series),
+            thumbnailOnly: !!series.thumbnailOnly,
+            revisionCount: files.revisions?.length || 0,
+            metadata: files.metadata || null
+        };
+    }
+
+    /**
+     * Check if a series is stored without loading its data
+     */
+    async hasSeries(name) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.stores.series], 'readonly');
+            const store = transaction.objectStore(this.stores.series);
+            const request = store.count(name);
+
+            request.onsuccess = () => resolve(request.result > 0);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the manual page-to-translation matches saved with a series
+     */
+    async getManualMatches(name) {
+        const series = await this.getSeriesIndex(name);
+        return series?.files?.manualMatches || null;
+    }
+
     /**
      * List all stored series (for debugging)
      */
@@ -232,8 +1614,8 @@ class IndexedDBManager {
         }
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readonly');
-            const store = transaction.objectStore(this.storeName);
+            const transaction = this.db.transaction([this.stores.series], 'readonly');
+            const store = transaction.objectStore(this.stores.series);
             const request = store.getAllKeys();
             
             request.onsuccess = () => {
@@ -254,6 +1636,13 @@ class IndexedDBManager {
     static isSupported() {
         return 'indexedDB' in window;
     }
+
+    /**
+     * Check if an error means the browser's storage quota is used up
+     */
+    static isQuotaError(error) {
+        return error?.name === 'QuotaExceededError';
+    }
 }
 
 // Create global instance
@@ -0,0 +1,430 @@
+/**
+ * Library Backup - Saves the whole library as a single ZIP archive and restores it
+ * Series (pages, translations, matches, metadata) come from IndexedDB;
+ * reading progress, settings and history come from StorageManager
+ */
+
+class LibraryBackup {
+    constructor() {
+        this.format = 'manga-reader-library';
+        this.version = 1;
+        this.manifestName = 'library.json';
+        this.conflictModes = ['skip', 'overwrite', 'keep'];
+
+        // A backup holds every page of the library, so it may list more entries
+        // than a single volume; the other archive safety limits apply unchanged
+        this.limits = { maxEntries: 0xFFFF };
+        this.crcTable = null;
+    }
+
+    // ==========================================================================
+    // Export
+    // ==========================================================================
+
+    /**
+     * Build the backup archive, calling onProgress(done, total, seriesName) per series.
+     * Returns { blob, exported, skipped }; series trimmed to their thumbnail
+     * have no pages to save and are skipped.
+     */
+    async exportLibrary(onProgress = null) {
+        const summaries = await indexedDBManager.listSeriesSummaries();
+        const withPages = summaries.filter(summary => !summary.thumbnailOnly);
+        const skipped = summaries.filter(summary => summary.thumbnailOnly).map(summary => summary.name);
+
+        // Refuse before reading anything when the library is clearly too big
+        this.checkExportSize(
+            withPages.reduce((sum, summary) => sum + summary.storedSize, 0),
+            withPages.reduce((sum, summary) => sum + summary.pageCount + 2, 1));
+
+        const writer = this.createZipWriter();
+        const manifest = {
+            format: this.format,
+            version: this.version,
+            exportDate: Date.now(),
+            userData: storageManager.exportData(),
+            series: []
+        };
+
+        for (const [index, summary] of withPages.entries()) {
+            if (onProgress) onProgress(index, withPages.length, summary.name);
+
+            // One series in memory at a time; the archive keeps references to its page blobs
+            const series = await indexedDBManager.getSeries(summary.name);
+            if (!series) {
+                skipped.push(summary.name);
+                continue;
+            }
+
+            const folder = 'series/' + String(manifest.series.length + 1).padStart(4, '0');
+            manifest.series.push(await this.addSeries(writer, series, folder));
+            this.checkExportSize(writer.size, writer.entries.length + 1);
+        }
+
+        await this.addZipEntry(writer, this.manifestName,
+            new Blob([JSON.stringify(manifest)], { type: 'application/json' }));
+
+        return {
+            blob: this.finishZip(writer),
+            exported: manifest.series.map(entry => entry.name),
+            skipped: skipped
+        };
+    }
+
+    /**
+     * Add one series' pages and translations to a folder of the archive.
+     * Returns its manifest entry, holding everything else as JSON.
+     */
+    async addSeries(writer, series, folder) {
+        const split = indexedDBManager.splitSeriesFiles(series.name, series.files);
+        const { thumbnail, ...files } = split.files;
+        const pages = [];
+
+        for (const page of split.pages) {
+            if (!page.blob) {
+                pages.push({ pageIndex: page.pageIndex, path: null, type: '' });
+                continue;
+            }
+
+            const path = `pages/${String(page.pageIndex).padStart(4, '0')}.${this.getExtension(page.blob)}`;
+            await this.addZipEntry(writer, `${folder}/${path}`, page.blob);
+            pages.push({ pageIndex: page.pageIndex, path: path, type: page.blob.type });
+        }
+
+        const translations = split.translations.map(translation => ({ id: translation.id, data: translation.data }));
+        await this.addZipEntry(writer, `${folder}/translations.json`,
+            new Blob([JSON.stringify(translations)], { type: 'application/json' }));
+
+        let thumbnailEntry = null;
+        if (thumbnail instanceof Blob) {
+            thumbnailEntry = { path: 'thumbnail.' + this.getExtension(thumbnail), type: thumbnail.type };
+            await this.addZipEntry(writer, `${folder}/${thumbnailEntry.path}`, thumbnail);
+        }
+
+        return {
+            name: series.name,
+            folder: folder,
+            uploadDate: series.uploadDate,
+            retention: series.retention || null,
+            files: files,
+            pages: pages,
+            thumbnail: thumbnailEntry
+        };
+    }
+
+    /**
+     * Throw when a backup would be larger than importing one allows
+     * (also well below the 4GB a ZIP without ZIP64 records can address)
+     */
+    checkExportSize(bytes, entryCount) {
+        const maxSize = archiveReader.limits.maxTotalSize;
+
+        if (bytes > maxSize) {
+            throw new Error(`The library takes up about ${FileUtils.formatSize(bytes)}, ` +
+                `more than the ${FileUtils.formatSize(maxSize)} a backup can hold. ` +
+                'Delete or trim some series to their thumbnail and export again.');
+        }
+        if (entryCount > this.limits.maxEntries) {
+            throw new Error(`The library has ${entryCount.toLocaleString()} pages, ` +
+                `more than the ${this.limits.maxEntries.toLocaleString()} a backup can hold.`);
+        }
+    }
+
+    /**
+     * File extension for a blob from its MIME type
+     */
+    getExtension(blob) {
+        const subtype = (blob.type || '').split('/')[1];
+        return subtype ? subtype.replace(/[^a-z0-9]/gi, '') || 'bin' : 'bin';
+    }
+
+    // ==========================================================================
+    // Archive Writing
+    // ==========================================================================
+
+    /**
+     * Start an uncompressed ZIP assembled from Blob parts. JSZip reads every
+     * added file into memory straight away; here each page is only read once
+     * for its checksum and the archive refers to the stored blob instead.
+     */
+    createZipWriter() {
+        return { parts: [], entries: [], size: 0, modified: this.getDosDateTime(new Date()) };
+    }
+
+    /**
+     * Append a stored (uncompressed) entry: local header, name, then the blob itself
+     */
+    async addZipEntry(writer, path, blob) {
+        const name = new TextEncoder().encode(path);
+        const crc = await this.crc32(blob);
+        const header = new DataView(new ArrayBuffer(30));
+
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true); // Version needed
+        header.setUint16(6, 0x0800, true); // UTF-8 names
+        header.setUint16(8, 0, true); // Stored
+        header.setUint16(10, writer.modified.time, true);
+        header.setUint16(12, writer.modified.date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, blob.size, true);
+        header.setUint32(22, blob.size, true);
+        header.setUint16(26, name.length, true);
+
+        writer.entries.push({ name: name, crc: crc, size: blob.size, offset: writer.size });
+        writer.parts.push(header.buffer, name, blob);
+        writer.size += header.byteLength + name.length + blob.size;
+    }
+
+    /**
+     * Write the central directory and return the archive
+     */
+    finishZip(writer) {
+        const directoryOffset = writer.size;
+        let directorySize = 0;
+
+        for (const entry of writer.entries) {
+            const record = new DataView(new ArrayBuffer(46));
+
+            record.setUint32(0, 0x02014B50, true);
+            record.setUint16(4, 20, true); // Version made by
+            record.setUint16(6, 20, true); // Version needed
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, writer.modified.time, true);
+            record.setUint16(14, writer.modified.date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.name.length, true);
+            record.setUint32(42, entry.offset, true);
+
+            writer.parts.push(record.buffer, entry.name);
+            directorySize += record.byteLength + entry.name.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, writer.entries.length, true);
+        end.setUint16(10, writer.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, directoryOffset, true);
+        writer.parts.push(end.buffer);
+
+        return new Blob(writer.parts, { type: 'application/zip' });
+    }
+
+    /**
+     * CRC-32 of a blob, read as a stream
+     */
+    async crc32(blob) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        const table = this.crcTable;
+        const reader = blob.stream().getReader();
+        let crc = 0xFFFFFFFF;
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            for (let i = 0; i < value.length; i++) {
+                crc = table[(crc ^ value[i]) & 0xFF] ^ (crc >>> 8);
+            }
+        }
+
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * MS-DOS time and date fields for ZIP headers
+     */
+    getDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    // ==========================================================================
+    // Import
+    // ==========================================================================
+
+    /**
+     * Open a backup archive through the archive safety checks.
+     * Backups are stored uncompressed, so entries are sliced straight out of
+     * the file instead of loading the whole archive into memory.
+     * Returns { archive, manifest, conflicts } where conflicts lists the
+     * backed up series already in the library.
+     */
+    async readBackup(file) {
+        const limits = { ...archiveReader.limits, ...this.limits };
+        const directory = await archiveReader.readZipDirectory(file, limits);
+        const archive = {
+            file: file,
+            entries: new Map(directory.map(entry => [entry.name, entry])),
+            rejected: archiveReader.checkEntries(directory, file.size, limits)
+        };
+
+        const manifestText = await this.readEntry(archive, this.manifestName, 'text');
+        const manifest = manifestText ? JSON.parse(manifestText) : null;
+        if (manifest?.format !== this.format || !Array.isArray(manifest.series)) {
+            throw new Error('This archive is not a library backup');
+        }
+        if (manifest.version > this.version) {
+            throw new Error('This backup was made by a newer version of the reader');
+        }
+
+        const stored = new Set(await indexedDBManager.listAllSeries());
+        const conflicts = manifest.series
+            .map(entry => entry.name)
+            .filter(name => stored.has(name));
+
+        return { archive, manifest, conflicts };
+    }
+
+    /**
+     * Restore the series and user data of a backup from readBackup().
+     * conflict decides what happens to series already in the library:
+     * 'skip' keeps the stored one, 'overwrite' replaces it, 'keep' stores the backup under a new name.
+     * A broken safety limit stops the whole restore; other failures skip the series.
+     * Returns { restored: [{ name, from }], skipped: [name], failed: [{ name, error }] }
+     */
+    async restoreLibrary(backup, conflict = 'skip', onProgress = null) {
+        if (!this.conflictModes.includes(conflict)) {
+            throw new Error(`Unknown conflict mode "${conflict}"`);
+        }
+
+        const { archive, manifest } = backup;
+        const taken = new Set(await indexedDBManager.listAllSeries());
+        const renames = {}; // Backup name -> restored name, null when not restored
+        const result = { restored: [], skipped: [], failed: [] };
+
+        for (const [index, entry] of manifest.series.entries()) {
+            if (onProgress) onProgress(index, manifest.series.length, entry.name);
+
+            let name = entry.name;
+            renames[entry.name] = null;
+
+            if (taken.has(name)) {
+                if (conflict === 'skip') {
+                    result.skipped.push(name);
+                    continue;
+                }
+                if (conflict === 'keep') {
+                    name = this.getUniqueName(name, taken);
+                }
+            }
+
+            try {
+                const files = await this.readSeriesFiles(archive, entry);
+                // Series restored earlier in this run must not be evicted to make room
+                await indexedDBManager.storeSeries(name, files, {
+                    retention: entry.retention,
+                    uploadDate: Number.isFinite(entry.uploadDate) ? entry.uploadDate : null,
+                    keep: result.restored.map(series => series.name)
+                });
+
+                taken.add(name);
+                renames[entry.name] = name;
+                result.restored.push({ name: name, from: entry.name });
+            } catch (error) {
+                if (ArchiveReader.isLimitError(error)) throw error;
+
+                console.error(`Failed to restore "${entry.name}":`, error);
+                result.failed.push({ name: entry.name, error: error.message || String(error) });
+            }
+        }
+
+        if (manifest.userData) {
+            storageManager.importData(manifest.userData, { renames });
+        }
+
+        return result;
+    }
+
+    /**
+     * Rebuild a series' file set from its manifest entry and archive folder
+     */
+    async readSeriesFiles(archive, entry) {
+        const readBlob = async (path, type) => {
+            const blob = path ? await this.readEntry(archive, `${entry.folder}/${path}`, 'blob') : null;
+            return blob && new Blob([blob], { type: type || '' });
+        };
+
+        const pages = [];
+        for (const page of entry.pages || []) {
+            const blob = await readBlob(page.path, page.type);
+            if (!blob) {
+                throw new Error(`Page ${page.pageIndex + 1} is missing from the backup`);
+            }
+            pages.push({ pageIndex: page.pageIndex, blob: blob });
+        }
+
+        const translationsText = await this.readEntry(archive, `${entry.folder}/translations.json`, 'text');
+        const translations = translationsText ? JSON.parse(translationsText) : [];
+        const thumbnail = entry.thumbnail ? await readBlob(entry.thumbnail.path, entry.thumbnail.type) : null;
+
+        return indexedDBManager.joinSeriesFiles({ ...entry.files, thumbnail: thumbnail }, { pages, translations });
+    }
+
+    /**
+     * Read one archive entry named by the manifest as 'blob' or 'text' (null if absent).
+     * Unsafe paths and entries the safety checks rejected are refused.
+     */
+    async readEntry(archive, path, type) {
+        const problem = typeof path === 'string' ? archiveReader.getPathProblem(path) : 'Invalid path';
+        if (problem) {
+            throw new Error(`${path}: ${problem}`);
+        }
+        if (archive.rejected[path]) {
+            throw new Error(`${path}: ${archive.rejected[path]}`);
+        }
+
+        const entry = archive.entries.get(path);
+        if (!entry) return null;
+
+        if (entry.method !== 0) {
+            throw new Error(`${path}: compressed entries are not supported in a library backup`);
+        }
+
+        // Data starts after the local header and its own name and extra fields
+        const header = new DataView(await archive.file.slice(entry.offset, entry.offset + 30).arrayBuffer());
+        if (header.byteLength < 30 || header.getUint32(0, true) !== 0x04034B50) {
+            throw new Error(`${path}: corrupt backup entry`);
+        }
+        const start = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        if (start + entry.size > archive.file.size) {
+            throw new Error(`${path}: corrupt backup entry`);
+        }
+
+        const blob = archive.file.slice(start, start + entry.size);
+        return type === 'text' ? blob.text() : blob;
+    }
+
+    /**
+     * First free "Name (2)", "Name (3)", ... for keeping both copies
+     */
+    getUniqueName(name, taken) {
+        let counter = 2;
+        while (taken.has(`${name} (${counter})`)) {
+            counter++;
+        }
+        return `${name} (${counter})`;
+    }
+}
+
+// Create global instance
+const libraryBackup = new LibraryBackup();
+
+// Export for module systems if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LibraryBackup;
+}
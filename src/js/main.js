@@ -7,6 +7,18 @@ class MangaReaderApp {
         this.initialized = false;
         this.currentSeriesData = null;
         this.elements = {};
+        this.librarySeries = [];
+        this.thumbnailUrls = [];
+        this.managedSeries = null;
+        this.uploadController = null; // AbortController for the running import/store
+        this.matchEditorUrls = [];
+        this.translationPlan = null; // Pending translation-only update
+        this.importQueue = []; // Archives of a batch upload, imported one after another
+        this.batchRunning = false;
+        this.batchTargets = new Map(); // Series name -> { skip, message } decided during a batch
+        this.quotaPlan = null; // Series offered for removal by the quota warning
+        this.quotaAcknowledged = false; // User chose to import despite the warning
+        this.pendingBackup = null; // Library backup opened for restoring
     }
 
     /**
@@ -22,7 +34,16 @@ class MangaReaderApp {
             await indexedDBManager.init();
             console.log('IndexedDB initialized successfully');
             
-            this.loadRecentSeries();
+            // Keep the library from being silently evicted, then drop series past their retention
+            indexedDBManager.requestPersistence();
+            await indexedDBManager.cleanupExpired();
+
+            // Share page images kept inline by older versions; runs in the background
+            indexedDBManager.moveInlinePages().catch(error => {
+                console.error('Failed to move inline page images:', error);
+            });
+            
+            await this.loadLibrary();
             this.checkCurrentSeries();
             this.initialized = true;
             
@@ -42,6 +63,12 @@ class MangaReaderApp {
             uploadArea: DOM.get('upload-area'),
             fileInput: DOM.get('file-input'),
             browseBtn: DOM.get('browse-btn'),
+            folderInput: DOM.get('folder-input'),
+            browseFolderBtn: DOM.get('browse-folder-btn'),
+            pdfResolution: DOM.get('pdf-resolution'),
+            transcodeFormat: DOM.get('transcode-format'),
+            transcodeQuality: DOM.get('transcode-quality'),
+            transcodeMaxHeight: DOM.get('transcode-max-height'),
             
             // Progress elements
             progressSection: DOM.get('progress-section'),
@@ -52,11 +79,73 @@ class MangaReaderApp {
             seriesSetup: DOM.get('series-setup'),
             seriesName: DOM.get('series-name'),
             seriesInfo: DOM.get('series-info'),
+            retentionMode: DOM.get('retention-mode'),
+            retentionDays: DOM.get('retention-days'),
             startReadingBtn: DOM.get('start-reading-btn'),
             
-            // Recent series elements
-            recentSection: DOM.get('recent-section'),
-            recentList: DOM.get('recent-list')
+            // Library elements
+            librarySection: DOM.get('library-section'),
+            libraryList: DOM.get('library-list'),
+            librarySort: DOM.get('library-sort'),
+            libraryFilter: DOM.get('library-filter'),
+            
+            // Series management elements
+            managePanel: DOM.get('manage-panel'),
+            manageTitle: DOM.get('manage-title'),
+            manageRenameInput: DOM.get('manage-rename-input'),
+            manageRenameBtn: DOM.get('manage-rename-btn'),
+            manageRetentionMode: DOM.get('manage-retention-mode'),
+            manageRetentionDays: DOM.get('manage-retention-days'),
+            manageRetentionBtn: DOM.get('manage-retention-btn'),
+            manageMergeSelect: DOM.get('manage-merge-select'),
+            manageMergeBtn: DOM.get('manage-merge-btn'),
+            manageDeleteBtn: DOM.get('manage-delete-btn'),
+            manageCloseBtn: DOM.get('manage-close-btn'),
+            
+            // Duplicate warning
+            duplicateWarning: DOM.get('duplicate-warning'),
+            importReport: DOM.get('import-report'),
+            importReportBody: DOM.get('import-report-body'),
+            downloadReportBtn: DOM.get('download-report-btn'),
+            editMatchesBtn: DOM.get('edit-matches-btn'),
+            matchEditor: DOM.get('match-editor'),
+            matchList: DOM.get('match-list'),
+            matchOffset: DOM.get('match-offset'),
+            matchShiftBtn: DOM.get('match-shift-btn'),
+            matchResetBtn: DOM.get('match-reset-btn'),
+            matchCloseBtn: DOM.get('match-close-btn'),
+            appendOptions: DOM.get('append-options'),
+            appendTarget: DOM.get('append-target'),
+            appendBtn: DOM.get('append-btn'),
+            appendResult: DOM.get('append-result'),
+            translationUpdate: DOM.get('translation-update'),
+            translationUpdateSummary: DOM.get('translation-update-summary'),
+            translationTarget: DOM.get('translation-target'),
+            translationUpdateChanges: DOM.get('translation-update-changes'),
+            keepRevision: DOM.get('keep-revision'),
+            applyTranslationsBtn: DOM.get('apply-translations-btn'),
+            cancelTranslationsBtn: DOM.get('cancel-translations-btn'),
+            manageRevisions: DOM.get('manage-revisions'),
+            manageRollbackBtn: DOM.get('manage-rollback-btn'),
+            batchImport: DOM.get('batch-import'),
+            batchSummary: DOM.get('batch-summary'),
+            batchList: DOM.get('batch-list'),
+            batchStartBtn: DOM.get('batch-start-btn'),
+            batchCancelBtn: DOM.get('batch-cancel-btn'),
+            batchDoneBtn: DOM.get('batch-done-btn'),
+            quotaWarning: DOM.get('quota-warning'),
+            storageOverview: DOM.get('storage-overview'),
+            storageList: DOM.get('storage-list'),
+            exportLibraryBtn: DOM.get('export-library-btn'),
+            importLibraryBtn: DOM.get('import-library-btn'),
+            libraryInput: DOM.get('library-input'),
+            libraryRestore: DOM.get('library-restore'),
+            libraryRestoreSummary: DOM.get('library-restore-summary'),
+            restoreConflictRow: DOM.get('restore-conflict-row'),
+            restoreConflict: DOM.get('restore-conflict'),
+            restoreLibraryBtn: DOM.get('restore-library-btn'),
+            cancelRestoreBtn: DOM.get('cancel-restore-btn'),
+            backupStatus: DOM.get('backup-status')
         };
 
         // Validate critical elements
@@ -79,10 +168,23 @@ class MangaReaderApp {
 
         EventUtils.on(this.elements.fileInput, 'change', (e) => {
             if (e.target.files.length > 0) {
-                this.handleFileSelection(e.target.files[0]);
+                this.handleSelectedFiles(e.target.files);
             }
         });
 
+        // Folder import events
+        if (this.elements.browseFolderBtn && this.elements.folderInput) {
+            EventUtils.on(this.elements.browseFolderBtn, 'click', () => {
+                this.elements.folderInput.click();
+            });
+
+            EventUtils.on(this.elements.folderInput, 'change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.handleFolderSelection(archiveReader.fromFileList(e.target.files));
+                }
+            });
+        }
+
         // Drag and drop events
         EventUtils.on(this.elements.uploadArea, 'dragover', (e) => {
             e.preventDefault();
@@ -100,10 +202,17 @@ class MangaReaderApp {
             e.preventDefault();
             e.stopPropagation();
             DOM.removeClass(this.elements.uploadArea, 'dragover');
+
+            // Dropped directories must be resolved synchronously inside the drop event
+            const directoryEntry = this.getDroppedDirectory(e.dataTransfer);
+            if (directoryEntry) {
+                this.handleDroppedDirectory(directoryEntry);
+                return;
+            }
             
             const files = e.dataTransfer.files;
             if (files.length > 0) {
-                this.handleFileSelection(files[0]);
+                this.handleSelectedFiles(files);
             }
         });
 
@@ -126,6 +235,140 @@ class MangaReaderApp {
             });
         }
 
+        // Translation update events
+        if (this.elements.translationUpdate) {
+            EventUtils.on(this.elements.translationTarget, 'change', () => this.previewTranslationUpdate());
+            EventUtils.on(this.elements.applyTranslationsBtn, 'click', () => this.applyTranslationUpdate());
+            EventUtils.on(this.elements.cancelTranslationsBtn, 'click', () => this.resetUploadUI());
+        }
+
+        if (this.elements.appendBtn) {
+            EventUtils.on(this.elements.appendBtn, 'click', () => {
+                this.appendToSeries();
+            });
+        }
+
+        // Batch import events
+        if (this.elements.batchImport) {
+            EventUtils.on(this.elements.batchStartBtn, 'click', () => this.runBatchImport());
+            EventUtils.on(this.elements.batchCancelBtn, 'click', () => this.cancelBatchImport());
+            EventUtils.on(this.elements.batchDoneBtn, 'click', () => this.closeBatchImport());
+            EventUtils.on(this.elements.batchList, 'input', (e) => {
+                const row = e.target.closest('.batch-item');
+                if (!row || !e.target.classList.contains('batch-series')) return;
+
+                const item = this.importQueue[parseInt(row.dataset.index)];
+                item.series = e.target.value;
+                item.nameEdited = true;
+                this.updateBatchSummary();
+            });
+        }
+
+        if (this.elements.downloadReportBtn) {
+            EventUtils.on(this.elements.downloadReportBtn, 'click', () => {
+                this.downloadImportReport();
+            });
+        }
+
+        if (this.elements.pdfResolution) {
+            const { pdfResolution } = storageManager.getSettings();
+            this.elements.pdfResolution.value = String(pdfResolution);
+            fileManager.pdfResolution = parseInt(this.elements.pdfResolution.value, 10) || pdfResolution;
+
+            EventUtils.on(this.elements.pdfResolution, 'change', () => {
+                fileManager.pdfResolution = parseInt(this.elements.pdfResolution.value, 10);
+                storageManager.saveSettings({ pdfResolution: fileManager.pdfResolution });
+            });
+        }
+
+        if (this.elements.transcodeFormat) {
+            const settings = storageManager.getSettings();
+            this.elements.transcodeFormat.value = settings.transcodeFormat;
+            this.elements.transcodeQuality.value = String(settings.transcodeQuality);
+            this.elements.transcodeMaxHeight.value = String(settings.transcodeMaxHeight);
+            this.applyTranscodeOptions();
+
+            [this.elements.transcodeFormat, this.elements.transcodeQuality, this.elements.transcodeMaxHeight]
+                .forEach(select => EventUtils.on(select, 'change', () => {
+                    this.applyTranscodeOptions();
+                    storageManager.saveSettings({
+                        transcodeFormat: this.elements.transcodeFormat.value,
+                        transcodeQuality: parseInt(this.elements.transcodeQuality.value, 10),
+                        transcodeMaxHeight: parseInt(this.elements.transcodeMaxHeight.value, 10)
+                    });
+                }));
+        }
+
+        if (this.elements.retentionMode) {
+            EventUtils.on(this.elements.retentionMode, 'change', () => {
+                DOM.toggle(this.elements.retentionDays, this.elements.retentionMode.value === 'days');
+            });
+        }
+
+        // Library controls
+        if (this.elements.librarySort) {
+            EventUtils.on(this.elements.librarySort, 'change', () => this.renderLibrary());
+        }
+
+        if (this.elements.libraryFilter) {
+            EventUtils.on(this.elements.libraryFilter, 'input',
+                EventUtils.debounce(() => this.renderLibrary(), 200)
+            );
+        }
+
+        // Match editor events
+        if (this.elements.matchEditor) {
+            EventUtils.on(this.elements.editMatchesBtn, 'click', () => this.openMatchEditor());
+            EventUtils.on(this.elements.matchCloseBtn, 'click', () => this.closeMatchEditor());
+            EventUtils.on(this.elements.matchShiftBtn, 'click', () => this.shiftMatches());
+            EventUtils.on(this.elements.matchResetBtn, 'click', () => this.resetMatches());
+            this.setupMatchListEvents();
+        }
+
+        // Series management events
+        if (this.elements.managePanel) {
+            EventUtils.on(this.elements.manageRenameBtn, 'click', () => this.renameManagedSeries());
+            EventUtils.on(this.elements.manageRetentionBtn, 'click', () => this.saveManagedRetention());
+            EventUtils.on(this.elements.manageMergeBtn, 'click', () => this.mergeIntoManagedSeries());
+            EventUtils.on(this.elements.manageDeleteBtn, 'click', () => this.deleteManagedSeries());
+            EventUtils.on(this.elements.manageRollbackBtn, 'click', () => this.rollbackManagedTranslations());
+            EventUtils.on(this.elements.manageCloseBtn, 'click', () => this.closeManagePanel());
+            EventUtils.on(this.elements.manageRetentionMode, 'change', () => {
+                DOM.toggle(this.elements.manageRetentionDays, this.elements.manageRetentionMode.value === 'days');
+            });
+        }
+
+        // Storage dashboard and quota warning actions
+        if (this.elements.storageList) {
+            EventUtils.on(this.elements.storageList, 'click', (e) => {
+                const button = e.target.closest('[data-action]');
+                const row = e.target.closest('.storage-item');
+                if (!button || !row) return;
+
+                this.freeSeriesSpace([row.dataset.series], button.dataset.action);
+            });
+        }
+
+        if (this.elements.quotaWarning) {
+            EventUtils.on(this.elements.quotaWarning, 'click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (button) this.resolveQuotaWarning(button.dataset.action);
+            });
+        }
+
+        // Library backup
+        if (this.elements.exportLibraryBtn) {
+            EventUtils.on(this.elements.exportLibraryBtn, 'click', () => this.exportLibrary());
+            EventUtils.on(this.elements.importLibraryBtn, 'click', () => this.elements.libraryInput.click());
+            EventUtils.on(this.elements.libraryInput, 'change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this.openBackup(file);
+            });
+            EventUtils.on(this.elements.restoreLibraryBtn, 'click', () => this.restoreBackup());
+            EventUtils.on(this.elements.cancelRestoreBtn, 'click', () => this.closeRestore());
+        }
+
         // Prevent default file drag behaviors on document
         EventUtils.on(document, 'dragover', (e) => e.preventDefault());
         EventUtils.on(document, 'drop', (e) => e.preventDefault());
@@ -135,40 +378,170 @@ class MangaReaderApp {
     // File Upload Handling
     // ==========================================================================
 
+    /**
+     * Copy the re-encoding choices into the file manager
+     */
+    applyTranscodeOptions() {
+        const format = this.elements.transcodeFormat.value;
+        const maxHeight = parseInt(this.elements.transcodeMaxHeight.value, 10) || null;
+
+        fileManager.transcode = {
+            format: format || null,
+            quality: (parseInt(this.elements.transcodeQuality.value, 10) || 80) / 100,
+            maxHeight: maxHeight
+        };
+
+        // Quality and height only apply when re-encoding
+        DOM.toggle(this.elements.transcodeQuality, !!format);
+        DOM.toggle(this.elements.transcodeMaxHeight, !!format);
+    }
+
+    /**
+     * Route selected files: translation JSONs on their own, a PDF with its
+     * translation JSONs, several archives to the import queue, otherwise the single archive
+     */
+    async handleSelectedFiles(fileList) {
+        const files = Array.from(fileList);
+        const isTranslationFile = file => FileUtils.isJSON(file.name) || FileUtils.isMokuroVolume(file.name);
+
+        if (files.length > 0 && files.every(isTranslationFile)) {
+            await this.handleFolderSelection(archiveReader.fromFileList(files));
+            return;
+        }
+
+        const archives = files.filter(file => !isTranslationFile(file));
+
+        // The PDF's pages are rendered alongside the JSONs and matched like a folder
+        if (archives.length === 1 && archiveReader.isPdf(archives[0].name) && files.length > 1) {
+            await this.handleFolderSelection(archiveReader.fromFileList(files));
+            return;
+        }
+
+        if (archives.length > 1) {
+            this.showBatchImport(archives);
+            return;
+        }
+
+        await this.handleFileSelection(archives[0]);
+    }
+
     /**
      * Handle file selection (drag & drop or browse)
      */
     async handleFileSelection(file) {
         if (!file) return;
 
+        await this.processUpload((progressCallback, signal) =>
+            fileManager.processZipFile(file, progressCallback, { signal })
+        );
+    }
+
+    /**
+     * Handle folder selection given as { path, file } items
+     */
+    async handleFolderSelection(folderFiles) {
+        if (!folderFiles || folderFiles.length === 0) return;
+
+        await this.processUpload((progressCallback, signal) =>
+            fileManager.processFolder(folderFiles, progressCallback, { signal })
+        );
+    }
+
+    /**
+     * Get the first dropped item if it is a directory
+     */
+    getDroppedDirectory(dataTransfer) {
+        const items = Array.from(dataTransfer.items || []);
+
+        for (const item of items) {
+            const entry = item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
+            if (entry && entry.isDirectory) {
+                return entry;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Walk a dropped directory tree and import it
+     */
+    async handleDroppedDirectory(directoryEntry) {
+        try {
+            const folderFiles = await archiveReader.collectDirectory(directoryEntry);
+            await this.handleFolderSelection(folderFiles);
+        } catch (error) {
+            console.error('Folder reading error:', error);
+            ErrorHandler.show('Failed to read dropped folder');
+        }
+    }
+
+    /**
+     * Run an import and move to series setup when it succeeds
+     */
+    async processUpload(processor) {
         // Clear previous errors
         ErrorHandler.clear();
+        DOM.toggle(this.elements.appendResult, false);
+
+        const controller = this.beginCancellable();
 
         try {
             // Show progress and hide upload area
             DOM.toggle(this.elements.uploadArea, false);
             DOM.toggle(this.elements.seriesSetup, false);
-            Progress.show('Preparing to process file...');
+            Progress.show('Preparing to process file...', () => controller.abort());
 
-            // Process the ZIP file
-            const result = await fileManager.processZipFile(file, (progress, message) => {
+            const result = await processor((progress, message) => {
                 Progress.update(progress, message);
-            });
+            }, controller.signal);
+            
+            this.endCancellable(controller);
 
-            if (result.success) {
+            if (result.success && result.translationOnly) {
+                this.currentSeriesData = result;
+                await this.showTranslationUpdate(result);
+            } else if (result.success) {
                 this.currentSeriesData = result;
                 this.showSeriesSetup(result);
             } else {
-                throw new Error('Failed to process ZIP file');
+                throw new Error('Failed to process archive');
             }
 
         } catch (error) {
-            console.error('File processing error:', error);
-            ErrorHandler.show(error.message || 'Failed to process file');
+            this.endCancellable(controller);
+
+            if (FileManager.isAbortError(error)) {
+                console.log('Upload cancelled by user');
+            } else {
+                console.error('File processing error:', error);
+                ErrorHandler.show(error.message || 'Failed to process file');
+            }
             this.resetUploadUI();
         }
     }
 
+    /**
+     * Start a cancellable operation, aborting any previous one
+     */
+    beginCancellable() {
+        if (this.uploadController) {
+            this.uploadController.abort();
+        }
+
+        this.uploadController = new AbortController();
+        return this.uploadController;
+    }
+
+    /**
+     * Forget the controller once its operation has settled
+     */
+    endCancellable(controller) {
+        if (this.uploadController === controller) {
+            this.uploadController = null;
+        }
+    }
+
     /**
      * Show series setup UI after successful file processing
      */
@@ -179,10 +552,15 @@ class MangaReaderApp {
 
             // Populate series info
             this.updateSeriesInfo(result);
+            this.renderImportReport(result.report);
+            this.populateAppendTargets();
 
             // Show series setup
             DOM.toggle(this.elements.seriesSetup, true);
 
+            // Warn if the same pages are already in the library
+            this.checkDuplicate(result);
+
             // Focus on series name input
             if (this.elements.seriesName) {
                 this.elements.seriesName.focus();
@@ -233,22 +611,164 @@ class MangaReaderApp {
                     <span class="info-label">File Size:</span>
                     <span class="info-value">${FileUtils.formatSize(stats.totalSize)}</span>
                 </div>
+                ${stats.transcodedCount > 0 ? `
+                <div class="info-item">
+                    <span class="info-label">Pages Re-encoded:</span>
+                    <span class="info-value">${stats.transcodedCount} of ${stats.imageCount}: ${FileUtils.formatSize(stats.originalImageSize)} → ${FileUtils.formatSize(stats.imageSize)} (${this.describeSaving(stats.originalImageSize, stats.imageSize)})</span>
+                </div>` : ''}
+                ${stats.chapterCount > 1 ? `
+                <div class="info-item">
+                    <span class="info-label">Chapters:</span>
+                    <span class="info-value">${stats.chapterCount}</span>
+                </div>` : ''}
+                ${stats.languages?.length ? `
+                <div class="info-item">
+                    <span class="info-label">Languages:</span>
+                    <span class="info-value">${StringUtils.escapeHTML(stats.languages.map(StringUtils.describeLanguage).join(', '))}</span>
+                </div>` : ''}
+                ${this.renderMetadataInfo(result.metadata)}
             </div>
             ${!validation.hasTranslations ? 
                 '<p style="color: var(--accent-color); margin-top: 12px;">⚠️ No translations found. Pages will display without overlay.</p>' : 
                 ''
             }
+            ${fileManager.transcode.format && !stats.transcodedCount ?
+                '<p class="upload-hint">Pages were kept as they are: re-encoding did not make them smaller or this browser cannot encode that format.</p>' :
+                ''
+            }
         `;
 
         DOM.setHTML(this.elements.seriesInfo, infoHTML);
     }
 
+    /**
+     * Describe a size change, e.g. "62% smaller"
+     */
+    describeSaving(before, after) {
+        if (!before) return 'no change';
+
+        const percent = Math.round((1 - after / before) * 100);
+        return percent >= 0 ? `${percent}% smaller` : `${-percent}% larger`;
+    }
+
+    /**
+     * Info rows for metadata read from ComicInfo.xml or mokuro
+     */
+    renderMetadataInfo(metadata) {
+        if (!metadata) return '';
+
+        const escape = StringUtils.escapeHTML;
+        const row = (label, value) => value ? `
+                <div class="info-item">
+                    <span class="info-label">${label}:</span>
+                    <span class="info-value">${escape(String(value))}</span>
+                </div>` : '';
+
+        return row('Series', metadata.series) +
+            row('Title', metadata.title) +
+            row('Details', StringUtils.describeMetadata(metadata)) +
+            row('Reading Direction', metadata.readingDirection === 'rtl' ? 'Right to left' : null);
+    }
+
+    /**
+     * Render skipped files and matching gaps from the import report
+     */
+    renderImportReport(report) {
+        const container = this.elements.importReport;
+        if (!container || !this.elements.importReportBody) return;
+
+        const hasIssues = report && (
+            report.skipped.length > 0 ||
+            report.unmatchedTranslations.length > 0 ||
+            report.untranslatedImages.length > 0
+        );
+
+        DOM.toggle(container, !!hasIssues);
+        if (!hasIssues) {
+            DOM.setHTML(this.elements.importReportBody, '');
+            return;
+        }
+
+        const escape = StringUtils.escapeHTML;
+        const section = (title, items, renderItem) => {
+            if (items.length === 0) return '';
+            return `
+                <details class="import-report-section">
+                    <summary>${title} (${items.length})</summary>
+                    <ul>${items.map(item => `<li>${renderItem(item)}</li>`).join('')}</ul>
+                </details>
+            `;
+        };
+
+        DOM.setHTML(this.elements.importReportBody,
+            section('Skipped files', report.skipped, item =>
+                `<code>${escape(item.path)}</code> — ${escape(item.reason)}`) +
+            section('Translations without a page', report.unmatchedTranslations, item =>
+                `<code>${escape(item.path)}</code> — expected image <code>${escape(item.expectedImage)}</code>`) +
+            section('Pages without a translation', report.untranslatedImages, item =>
+                `<code>${escape(item.path)}</code>`)
+        );
+    }
+
+    /**
+     * Download the current import report as JSON
+     */
+    downloadImportReport() {
+        const report = this.currentSeriesData?.report;
+        if (!report) return;
+
+        const seriesName = this.elements.seriesName?.value.trim() || 'import';
+        const data = {
+            series: seriesName,
+            stats: this.currentSeriesData.stats,
+            ...report
+        };
+
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        FileUtils.downloadBlob(blob, `${StringUtils.sanitize(seriesName)}-import-report.json`);
+    }
+
+    /**
+     * Show a warning when an upload duplicates a stored series by content hash
+     */
+    async checkDuplicate(result) {
+        const warning = this.elements.duplicateWarning;
+        if (!warning) return;
+
+        DOM.toggle(warning, false);
+
+        try {
+            const existingName = await indexedDBManager.findSeriesByContentHash(result.contentHash);
+            if (!existingName) return;
+
+            DOM.setHTML(warning, `
+                ⚠️ This upload has the same pages as <strong>${StringUtils.escapeHTML(existingName)}</strong>, already in your library.
+                <button class="btn btn-secondary" id="open-duplicate-btn">Open it instead</button>
+            `);
+            DOM.toggle(warning, true);
+
+            EventUtils.on(DOM.get('open-duplicate-btn'), 'click', () => this.openSeries(existingName));
+
+            // Same pages as a stored series: carry over its corrected matches
+            await this.reuseManualMatches(existingName);
+        } catch (error) {
+            console.error('Duplicate check failed:', error);
+        }
+    }
+
     /**
      * Suggest a series name based on file structure
      */
     suggestSeriesName() {
         if (!this.currentSeriesData?.images?.length) return '';
 
+        // ComicInfo.xml or mokuro title beats guessing from filenames
+        const metadata = this.currentSeriesData.metadata;
+        if (metadata?.series) {
+            const volume = metadata.volume && /^\d+$/.test(metadata.volume) ? `Vol. ${metadata.volume}` : metadata.volume;
+            return [metadata.series, volume].filter(Boolean).join(' ').substring(0, 50);
+        }
+
         // Try to extract a common pattern from filenames
         const firstImage = this.currentSeriesData.images[0].filename;
         const baseName = FileUtils.getBaseName(firstImage);
@@ -306,21 +826,26 @@ class MangaReaderApp {
             return;
         }
 
+        if (!await this.checkStorageBeforeImport(validation.value)) {
+            return;
+        }
+
+        const controller = this.beginCancellable();
+
         try {
             const seriesName = validation.value;
             
-            // Save initial progress
-            storageManager.saveProgress(seriesName, {
-                currentPage: 0,
-                totalPages: this.currentSeriesData.stats.imageCount,
-                lastRead: Date.now()
-            });
-            
-            // Add to recent series
-            storageManager.addRecentSeries(seriesName, this.currentSeriesData.stats);
-            
+            // Corrections made on an earlier upload of this series still apply
+            await this.reuseManualMatches(seriesName);
+
+            // Re-uploading a series trimmed to its thumbnail keeps its reading progress
+            const previous = await indexedDBManager.getSeriesIndex(seriesName);
+            const totalPages = this.currentSeriesData.stats.imageCount;
+            const keptProgress = previous?.thumbnailOnly ? storageManager.getProgress(seriesName) : null;
+            const keepProgress = !!keptProgress && keptProgress.totalPages === totalPages;
+
             // Store in IndexedDB
-            Progress.show('Storing manga data...');
+            Progress.show('Storing manga data...', () => controller.abort());
             console.log('About to store series in IndexedDB:', seriesName);
             console.log('Current series data structure:', {
                 hasImages: !!this.currentSeriesData.images,
@@ -331,9 +856,21 @@ class MangaReaderApp {
                 statsImageCount: this.currentSeriesData.stats?.imageCount
             });
             
-            await indexedDBManager.storeSeries(seriesName, this.currentSeriesData);
+            await indexedDBManager.storeSeries(seriesName, this.currentSeriesData, {
+                retention: this.getSelectedRetention(),
+                signal: controller.signal
+            });
+            this.endCancellable(controller);
             console.log('Series stored successfully, waiting before navigation...');
             
+            // Progress and recent entry only once the series is actually stored
+            storageManager.saveProgress(seriesName, {
+                currentPage: keepProgress ? keptProgress.currentPage : 0,
+                totalPages: totalPages,
+                lastRead: Date.now()
+            });
+            storageManager.addRecentSeries(seriesName, this.currentSeriesData.stats);
+            
             Progress.hide();
             
             // Wait a moment to ensure IndexedDB transaction completes
@@ -343,117 +880,1248 @@ class MangaReaderApp {
             window.location.href = `reader.html?series=${encodeURIComponent(seriesName)}`;
 
         } catch (error) {
+            this.endCancellable(controller);
             Progress.hide();
+
+            if (FileManager.isAbortError(error)) {
+                console.log('Storing cancelled by user');
+                this.resetUploadUI();
+                return;
+            }
+
+            if (IndexedDBManager.isQuotaError(error)) {
+                console.error('Storage quota exceeded while storing series:', error);
+                await this.showQuotaWarning(await indexedDBManager.estimateAddedSize(this.currentSeriesData), null,
+                    this.elements.seriesName?.value);
+                return;
+            }
+
             console.error('Error starting reading session:', error);
             ErrorHandler.show('Failed to start reading session: ' + error.message);
         }
     }
 
+    /**
+     * Read retention policy from the series setup form
+     */
+    getSelectedRetention() {
+        const mode = this.elements.retentionMode?.value || 'forever';
+        const days = parseInt(this.elements.retentionDays?.value) || 30;
+        return { mode, days };
+    }
+
     // ==========================================================================
-    // Recent Series Management
+    // Adding to an Existing Series
     // ==========================================================================
 
     /**
-     * Debug function to check IndexedDB contents
+     * Offer every library series as a target for the uploaded pages
      */
-    async debugIndexedDB() {
-        try {
-            console.log('=== IndexedDB Debug Info ===');
-            await indexedDBManager.init();
-            const allSeries = await indexedDBManager.listAllSeries();
-            console.log('All series keys:', allSeries);
-            
-            for (const seriesName of allSeries) {
-                const data = await indexedDBManager.getSeries(seriesName);
-                console.log(`Series "${seriesName}":`, {
-                    hasFiles: !!data?.files,
-                    hasDirectData: !!(data?.images || data?.matched),
-                    structure: Object.keys(data || {}),
-                    filesStructure: data?.files ? Object.keys(data.files) : 'N/A',
-                    imageCount: data?.files?.images?.length || data?.images?.length || 0,
-                    matchedCount: data?.files?.matched?.length || data?.matched?.length || 0
-                });
-            }
-        } catch (error) {
-            console.error('IndexedDB debug error:', error);
-        }
+    populateAppendTargets() {
+        const select = this.elements.appendTarget;
+        if (!select) return;
+
+        const names = this.librarySeries.map(series => series.name)
+            .sort((a, b) => a.localeCompare(b));
+
+        DOM.setHTML(select, names.map(name =>
+            `<option value="${StringUtils.escapeHTML(name)}">${StringUtils.escapeHTML(name)}</option>`
+        ).join(''));
+        DOM.toggle(this.elements.appendOptions, names.length > 0);
     }
 
     /**
-     * Load and display recent series
+     * Merge the uploaded pages into a stored series, keeping progress and manual matches
      */
-    loadRecentSeries() {
-        if (!this.elements.recentList) return;
+    async appendToSeries() {
+        const targetName = this.elements.appendTarget?.value;
+        if (!targetName || !this.currentSeriesData) return;
 
         try {
-            const recentSeries = storageManager.getRecentSeries();
-            
-            if (recentSeries.length === 0) {
-                this.showNoRecentSeries();
-                return;
+            Progress.show(`Adding pages to "${targetName}"...`);
+
+            const target = await indexedDBManager.getSeries(targetName);
+            if (!target) {
+                throw new Error(`Series "${targetName}" is no longer in the library`);
             }
 
-            const recentHTML = recentSeries.slice(0, 6).map(series => {
-                // Get progress data for this series
-                const progress = storageManager.getProgress(series.name);
-                const stats = series.stats || {};
-                
-                return `
-                <div class="recent-item" data-series="${series.name}">
-                    <h3>${StringUtils.truncate(series.name, 30)}</h3>
-                    <div class="recent-meta">
-                        <span>📖 ${stats.imageCount || 0} pages</span>
-                        <span>${StringUtils.formatDate(series.addedDate)}</span>
-                    </div>
-                    <div class="recent-progress">
-                        ${progress ? `Page ${progress.currentPage + 1}/${progress.totalPages} (${progress.percentage}%)` : 'Not started'}
-                    </div>
-                </div>
-                `;
-            }).join('');
+            // Matches corrected on the stored series carry over to re-uploaded pages
+            fileManager.applyManualMatches(this.currentSeriesData, target.files.manualMatches);
 
-            DOM.setHTML(this.elements.recentList, recentHTML);
+            const { files, added, replaced } = fileManager.mergeFileSets(target.files, this.currentSeriesData);
+            await indexedDBManager.updateSeriesFiles(targetName, files);
+            this.carryProgress(targetName, target.files, files);
 
-            // Add click handlers to recent items
-            const recentItems = this.elements.recentList.querySelectorAll('.recent-item');
-            recentItems.forEach(item => {
-                EventUtils.on(item, 'click', () => {
-                    const seriesName = item.dataset.series;
-                    this.promptReupload(seriesName);
-                });
-            });
+            console.log(`Added ${added.length} and replaced ${replaced.length} pages in "${targetName}"`);
 
+            this.resetUploadUI();
+            this.showAppendResult(targetName, added, replaced);
+            await this.loadLibrary();
         } catch (error) {
-            console.error('Error loading recent series:', error);
-            this.showNoRecentSeries();
+            Progress.hide();
+            console.error('Failed to add pages to series:', error);
+            ErrorHandler.show(error.message || 'Failed to add pages to series');
         }
     }
 
     /**
-     * Show no recent series message
+     * Keep the reader on the same page after pages were inserted before it
      */
-    showNoRecentSeries() {
-        const noRecentHTML = `
-            <div class="no-recent">
-                <p>No recent manga series found.</p>
-                <p>Upload a ZIP file to get started!</p>
-            </div>
-        `;
-        DOM.setHTML(this.elements.recentList, noRecentHTML);
+    carryProgress(seriesName, oldFiles, newFiles) {
+        const progress = storageManager.getProgress(seriesName);
+        if (!progress) return;
+
+        const currentPage = oldFiles.matched[progress.currentPage];
+        const newIndex = currentPage ? fileManager.findPageIndex(newFiles, fileManager.getPageKey(currentPage)) : -1;
+
+        storageManager.saveProgress(seriesName, {
+            currentPage: newIndex >= 0 ? newIndex : Math.min(progress.currentPage, newFiles.matched.length - 1),
+            totalPages: newFiles.matched.length,
+            lastRead: progress.lastRead
+        });
     }
 
     /**
-     * Prompt user to re-upload files for a series
+     * Summarise which pages an append added or replaced
      */
-    promptReupload(seriesName) {
-        const progress = storageManager.getProgress(seriesName);
-        if (!progress) return;
+    showAppendResult(seriesName, added, replaced) {
+        this.showImportResult(seriesName,
+            `Added ${added.length} and replaced ${replaced.length} pages in <strong>${StringUtils.escapeHTML(seriesName)}</strong>.`,
+            [
+                { title: 'Added pages', paths: added },
+                { title: 'Replaced pages', paths: replaced }
+            ]
+        );
+    }
 
-        const message = `
-            Continue reading "${seriesName}"?
-            
-            You were on page ${progress.currentPage + 1} of ${progress.totalPages}.
-            You'll need to upload the same ZIP file again to continue.
+    /**
+     * Show the outcome of an update to a stored series with a link to read it
+     */
+    showImportResult(seriesName, summaryHTML, sections) {
+        const container = this.elements.appendResult;
+        if (!container) return;
+
+        const escape = StringUtils.escapeHTML;
+        const list = ({ title, paths }) => paths.length === 0 ? '' : `
+            <details class="import-report-section">
+                <summary>${title} (${paths.length})</summary>
+                <ul>${paths.map(path => `<li><code>${escape(path)}</code></li>`).join('')}</ul>
+            </details>
+        `;
+
+        DOM.setHTML(container, `
+            <p>✅ ${summaryHTML}</p>
+            ${sections.map(list).join('')}
+            <button class="btn btn-primary" id="append-open-btn" type="button">Continue reading</button>
+        `);
+        DOM.toggle(container, true);
+
+        EventUtils.on(DOM.get('append-open-btn'), 'click', () => this.openSeries(seriesName));
+    }
+
+    // ==========================================================================
+    // Batch Import
+    // ==========================================================================
+
+    /**
+     * Queue several archives. Names come from the file names until metadata
+     * says otherwise; archives with the same series name become volumes of one series.
+     */
+    showBatchImport(files) {
+        if (this.batchRunning) {
+            ErrorHandler.show('An import queue is already running');
+            return;
+        }
+
+        ErrorHandler.clear();
+        this.resetUploadUI();
+        DOM.toggle(this.elements.appendResult, false);
+
+        this.importQueue = files
+            .map(file => {
+                const parsed = StringUtils.parseVolumeName(file.name);
+                return {
+                    file: file,
+                    series: this.cleanSeriesName(parsed.series) || this.cleanSeriesName(FileUtils.getBaseName(file.name)),
+                    volume: parsed.volume,
+                    nameEdited: false,
+                    status: 'queued',
+                    progress: 0,
+                    message: FileUtils.formatSize(file.size)
+                };
+            })
+            .sort((a, b) => fileManager.naturalSort(a.file.name, b.file.name));
+
+        DOM.toggle(this.elements.uploadArea, false);
+        DOM.toggle(this.elements.batchImport, true);
+        DOM.toggle(this.elements.batchStartBtn, true);
+        DOM.toggle(this.elements.batchCancelBtn, true);
+        DOM.toggle(this.elements.batchDoneBtn, false);
+        this.elements.batchStartBtn.disabled = false;
+
+        this.renderBatchQueue();
+        Animation.scrollTo(this.elements.batchImport, 100);
+    }
+
+    /**
+     * Strip characters series names may not contain (see Validation.seriesName)
+     */
+    cleanSeriesName(name) {
+        return (name || '')
+            .replace(/[^a-zA-Z0-9\s\-_.,!?()[\]]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .substring(0, 50);
+    }
+
+    /**
+     * Render one row per queued archive
+     */
+    renderBatchQueue() {
+        const escape = StringUtils.escapeHTML;
+
+        DOM.setHTML(this.elements.batchList, this.importQueue.map((item, index) => `
+            <div class="batch-item" data-index="${index}">
+                <div class="batch-item-header">
+                    <span class="batch-file" title="${escape(item.file.name)}">${escape(item.file.name)}</span>
+                    <span class="batch-status"></span>
+                </div>
+                <input type="text" class="input batch-series" value="${escape(item.series)}" maxlength="50" aria-label="Series name for ${escape(item.file.name)}">
+                <div class="progress-bar batch-progress">
+                    <div class="progress-fill"></div>
+                </div>
+                <p class="batch-message"></p>
+            </div>
+        `).join(''));
+
+        this.importQueue.forEach((item, index) => this.updateBatchItem(index));
+        this.updateBatchSummary();
+    }
+
+    /**
+     * Refresh a row's status, progress and message without re-rendering the list
+     */
+    updateBatchItem(index) {
+        const item = this.importQueue[index];
+        const row = this.elements.batchList?.querySelector(`.batch-item[data-index="${index}"]`);
+        if (!item || !row) return;
+
+        const labels = {
+            queued: 'Queued',
+            processing: 'Processing',
+            storing: 'Storing',
+            done: 'Imported',
+            skipped: 'Skipped',
+            error: 'Failed',
+            cancelled: 'Cancelled'
+        };
+
+        row.className = `batch-item status-${item.status}`;
+        row.querySelector('.batch-status').textContent = item.volume && item.status === 'queued' ?
+            `${labels[item.status]} · Vol. ${item.volume}` :
+            labels[item.status];
+        row.querySelector('.progress-fill').style.width = `${item.progress}%`;
+        row.querySelector('.batch-message').textContent = item.message || '';
+
+        const input = row.querySelector('.batch-series');
+        input.readOnly = item.status !== 'queued' || this.batchRunning;
+        if (input.value !== item.series) {
+            input.value = item.series;
+        }
+    }
+
+    /**
+     * Count archives and the series they will be grouped into
+     */
+    updateBatchSummary() {
+        const seriesKeys = new Set(this.importQueue.map(item => StringUtils.sanitize(item.series.trim())));
+        const counts = this.importQueue.reduce((result, item) => {
+            result[item.status] = (result[item.status] || 0) + 1;
+            return result;
+        }, {});
+
+        let summary = `${this.importQueue.length} archives → ${seriesKeys.size} series. ` +
+            'Archives with the same series name are added to it as volumes.';
+        if (this.batchRunning || counts.done || counts.error) {
+            const finished = this.importQueue.length - (counts.queued || 0) - (counts.processing || 0) - (counts.storing || 0);
+            summary = `${finished} of ${this.importQueue.length} processed: ${counts.done || 0} imported` +
+                (counts.skipped ? `, ${counts.skipped} skipped` : '') +
+                (counts.error ? `, ${counts.error} failed` : '') +
+                (counts.cancelled ? `, ${counts.cancelled} cancelled` : '');
+        }
+
+        DOM.setText(this.elements.batchSummary, summary);
+    }
+
+    /**
+     * Import every queued archive in turn; a failure only stops its own row
+     */
+    async runBatchImport() {
+        if (this.batchRunning) return;
+
+        const invalid = this.importQueue.find(item => !Validation.seriesName(item.series).valid);
+        if (invalid) {
+            ErrorHandler.show(`${invalid.file.name}: ${Validation.seriesName(invalid.series).error}`, this.elements.batchImport);
+            return;
+        }
+
+        ErrorHandler.clear();
+        const controller = this.beginCancellable();
+        this.batchRunning = true;
+        this.batchTargets = new Map();
+        this.elements.batchStartBtn.disabled = true;
+        this.importQueue.forEach((item, index) => this.updateBatchItem(index));
+
+        for (let index = 0; index < this.importQueue.length; index++) {
+            const item = this.importQueue[index];
+            if (item.status !== 'queued') continue;
+
+            if (controller.signal.aborted) {
+                item.status = 'cancelled';
+                item.message = '';
+            } else {
+                await this.importBatchItem(item, index, controller.signal);
+            }
+
+            this.updateBatchItem(index);
+            this.updateBatchSummary();
+        }
+
+        this.endCancellable(controller);
+        this.batchRunning = false;
+
+        DOM.toggle(this.elements.batchStartBtn, false);
+        DOM.toggle(this.elements.batchCancelBtn, false);
+        DOM.toggle(this.elements.batchDoneBtn, true);
+        this.updateBatchSummary();
+        await this.loadLibrary();
+    }
+
+    /**
+     * Extract one archive and store it as (a volume of) its series
+     */
+    async importBatchItem(item, index, signal) {
+        item.status = 'processing';
+        this.updateBatchItem(index);
+
+        try {
+            const result = await fileManager.processZipFile(item.file, (progress, message) => {
+                item.progress = Math.round(progress * 0.9);
+                item.message = message;
+                this.updateBatchItem(index);
+            }, { signal });
+
+            if (result.translationOnly) {
+                throw new Error('Contains only translations; import it on its own to update a series');
+            }
+
+            // ComicInfo.xml / mokuro metadata name the series unless a name was typed in
+            const metadataName = this.cleanSeriesName(result.metadata?.series);
+            if (!item.nameEdited && metadataName) {
+                item.series = metadataName;
+            }
+            if (result.metadata?.volume) {
+                item.volume = String(result.metadata.volume);
+            }
+
+            const validation = Validation.seriesName(item.series);
+            if (!validation.valid) {
+                throw new Error(validation.error);
+            }
+
+            const duplicate = await indexedDBManager.findSeriesByContentHash(result.contentHash);
+            if (duplicate) {
+                item.status = 'skipped';
+                item.progress = 100;
+                item.message = `Already in your library as "${duplicate}"`;
+                return;
+            }
+
+            const target = await this.checkBatchTarget(validation.value);
+            if (target.skip) {
+                item.status = 'skipped';
+                item.progress = 100;
+                item.message = target.message;
+                return;
+            }
+
+            item.status = 'storing';
+            item.progress = 90;
+            item.message = `Storing in "${validation.value}"...`;
+            this.updateBatchItem(index);
+
+            item.message = await this.storeBatchVolume(validation.value, this.getVolumeFolder(item), result, signal);
+            item.status = 'done';
+            item.progress = 100;
+        } catch (error) {
+            if (FileManager.isAbortError(error)) {
+                item.status = 'cancelled';
+                item.message = '';
+            } else {
+                console.error(`Batch import failed for ${item.file.name}:`, error);
+                item.status = 'error';
+                item.message = IndexedDBManager.isQuotaError(error) ?
+                    'Not enough storage space left; free some in the Storage section below' :
+                    error.message || 'Failed to process archive';
+            }
+        } finally {
+            // Only one archive's pages are held in memory at a time
+            fileManager.clear();
+        }
+    }
+
+    /**
+     * Folder a batch volume's pages go under, e.g. "Vol. 03"
+     */
+    getVolumeFolder(item) {
+        if (item.volume && /^\d+(\.\d+)?$/.test(item.volume)) {
+            return `Vol. ${item.volume.replace(/^0+(?=\d)/, '').padStart(2, '0')}`;
+        }
+        return (item.volume || FileUtils.getBaseName(item.file.name)).replace(/[\\/]/g, '-');
+    }
+
+    /**
+     * Decide once per batch whether volumes may go into a series of this name.
+     * Series created by the batch are grouped freely; adding to one already in
+     * the library needs confirmation, and a series trimmed to its thumbnail is left alone.
+     */
+    async checkBatchTarget(seriesName) {
+        if (this.batchTargets.has(seriesName)) {
+            return this.batchTargets.get(seriesName);
+        }
+
+        const stored = await indexedDBManager.getSeriesIndex(seriesName);
+        let target = { skip: false, message: '' };
+
+        if (stored?.thumbnailOnly) {
+            target = {
+                skip: true,
+                message: `"${seriesName}" only keeps its thumbnail in your library; delete it or choose another series name`
+            };
+        } else if (stored && !confirm(`"${seriesName}" is already in your library. Add the volumes from this import to it?`)) {
+            target = {
+                skip: true,
+                message: `"${seriesName}" is already in your library; choose another series name to import this`
+            };
+        }
+
+        this.batchTargets.set(seriesName, target);
+        return target;
+    }
+
+    /**
+     * Add a volume to its series, creating the series on the first one.
+     * Returns a short description for the queue row.
+     */
+    async storeBatchVolume(seriesName, volumeFolder, result, signal) {
+        // Only the series index is read: stored pages stay in IndexedDB
+        const existing = await indexedDBManager.getSeriesIndex(seriesName);
+
+        if (!existing) {
+            const { files } = fileManager.mergeFileSets({ images: [], translations: [], matched: [] }, result, { prefix: volumeFolder });
+            await indexedDBManager.storeSeries(seriesName, files, {
+                retention: this.getSelectedRetention(),
+                signal: signal
+            });
+            storageManager.saveProgress(seriesName, {
+                currentPage: 0,
+                totalPages: files.stats.imageCount,
+                lastRead: Date.now()
+            });
+            storageManager.addRecentSeries(seriesName, files.stats);
+
+            return `Created "${seriesName}" with ${volumeFolder}`;
+        }
+
+        const { files, replaced } = fileManager.mergeFileSets(existing.files, result, { prefix: volumeFolder });
+        const storedCount = existing.files.matched.length;
+        const appendsAtEnd = replaced.length === 0 && existing.files.matched.every((page, index) =>
+            fileManager.getPageKey(files.matched[index]) === fileManager.getPageKey(page));
+
+        if (appendsAtEnd) {
+            const storedTranslations = new Set(existing.files.translations);
+            await indexedDBManager.appendSeriesPages(seriesName, {
+                matched: files.matched.slice(storedCount),
+                translations: files.translations.filter(trans => !storedTranslations.has(trans))
+            }, {
+                structure: files.structure,
+                stats: files.stats,
+                volumeHashes: files.volumeHashes,
+                manualMatches: files.manualMatches,
+                metadata: files.metadata,
+                thumbnail: files.thumbnail
+            }, { signal });
+        } else {
+            // The volume replaces or sorts between stored pages: rewrite the whole series
+            const stored = await indexedDBManager.getSeries(seriesName);
+            const merged = fileManager.mergeFileSets(stored.files, result, { prefix: volumeFolder });
+            await indexedDBManager.updateSeriesFiles(seriesName, merged.files, { signal });
+        }
+
+        this.carryProgress(seriesName, existing.files, files);
+        return replaced.length > 0 ?
+            `Replaced ${volumeFolder} in "${seriesName}"` :
+            `Added as ${volumeFolder} to "${seriesName}"`;
+    }
+
+    /**
+     * Stop the running archive and skip the rest of the queue, or drop a queue not yet started
+     */
+    cancelBatchImport() {
+        if (this.batchRunning) {
+            this.uploadController?.abort();
+            return;
+        }
+        this.closeBatchImport();
+    }
+
+    /**
+     * Leave the queue view
+     */
+    closeBatchImport() {
+        if (this.batchRunning) return;
+
+        this.importQueue = [];
+        DOM.setHTML(this.elements.batchList, '');
+        DOM.toggle(this.elements.batchImport, false);
+        this.resetUploadUI();
+    }
+
+    // ==========================================================================
+    // Translation Updates
+    // ==========================================================================
+
+    /**
+     * Show the translation update step for a JSON-only upload
+     */
+    async showTranslationUpdate(result) {
+        Progress.hide();
+
+        const names = this.librarySeries.map(series => series.name)
+            .sort((a, b) => a.localeCompare(b));
+        if (names.length === 0) {
+            throw new Error('These files only contain translations. Upload the pages first, then add translations to that series.');
+        }
+
+        DOM.setText(this.elements.translationUpdateSummary,
+            `${result.translations.length} translation pages found. Choose the series they belong to.`);
+        DOM.setHTML(this.elements.translationTarget, names.map(name =>
+            `<option value="${StringUtils.escapeHTML(name)}">${StringUtils.escapeHTML(name)}</option>`
+        ).join(''));
+
+        // Preselect the series currently being read, if any
+        const currentSeries = storageManager.getCurrentSeries();
+        if (currentSeries && names.includes(currentSeries)) {
+            this.elements.translationTarget.value = currentSeries;
+        }
+
+        DOM.toggle(this.elements.translationUpdate, true);
+        await this.previewTranslationUpdate();
+    }
+
+    /**
+     * Rematch the uploaded translations against the chosen series and list what changes
+     */
+    async previewTranslationUpdate() {
+        const seriesName = this.elements.translationTarget?.value;
+        if (!seriesName || !this.currentSeriesData) return;
+
+        this.translationPlan = null;
+        this.elements.applyTranslationsBtn.disabled = true;
+
+        try {
+            const series = await indexedDBManager.getSeries(seriesName);
+            if (!series) {
+                throw new Error(`Series "${seriesName}" is no longer in the library`);
+            }
+
+            const plan = fileManager.planTranslationUpdate(series.files, this.currentSeriesData.translations);
+            this.translationPlan = { seriesName, series, plan };
+
+            const byStatus = status => plan.changes
+                .filter(change => change.status === status)
+                .map(change => `Page ${change.pageIndex + 1} · ${change.pageKey}`);
+            const changed = byStatus('changed');
+            const added = byStatus('added');
+            const escape = StringUtils.escapeHTML;
+            const list = (title, items) => items.length === 0 ? '' : `
+                <details class="import-report-section">
+                    <summary>${title} (${items.length})</summary>
+                    <ul>${items.map(item => `<li>${escape(item)}</li>`).join('')}</ul>
+                </details>
+            `;
+
+            DOM.setHTML(this.elements.translationUpdateChanges, `
+                <p>${changed.length} changed, ${added.length} newly translated, ${byStatus('unchanged').length} unchanged.</p>
+                ${list('Changed pages', changed)}
+                ${list('Newly translated pages', added)}
+                ${list('Translations without a page', plan.unmatched)}
+                ${list('Translations matching several pages (put them in the page\'s folder)', plan.ambiguous
+                    .map(entry => `${entry.key} → ${entry.pages.join(', ')}`))}
+            `);
+
+            this.elements.applyTranslationsBtn.disabled = changed.length + added.length === 0;
+        } catch (error) {
+            console.error('Failed to preview translation update:', error);
+            ErrorHandler.show(error.message || 'Failed to read series', this.elements.translationUpdate);
+        }
+    }
+
+    /**
+     * Write the planned translations into the stored series
+     */
+    async applyTranslationUpdate() {
+        if (!this.translationPlan) return;
+
+        const { seriesName, series, plan } = this.translationPlan;
+        const keepRevision = !!this.elements.keepRevision?.checked;
+
+        try {
+            const updated = fileManager.applyTranslationUpdate(series.files, plan, { keepRevision });
+            await indexedDBManager.updateSeriesFiles(seriesName, series.files);
+
+            console.log(`Updated translations on ${updated} pages of "${seriesName}"`);
+
+            const changedPages = plan.changes
+                .filter(change => change.status !== 'unchanged')
+                .map(change => change.pageKey);
+
+            this.resetUploadUI();
+            this.showImportResult(seriesName,
+                `Updated translations on ${updated} pages of <strong>${StringUtils.escapeHTML(seriesName)}</strong>.` +
+                (keepRevision ? ' The previous version can be rolled back from Manage.' : ''),
+                [{ title: 'Updated pages', paths: changedPages }]
+            );
+            await this.loadLibrary();
+        } catch (error) {
+            console.error('Failed to apply translation update:', error);
+            ErrorHandler.show(error.message || 'Failed to update translations', this.elements.translationUpdate);
+        }
+    }
+
+    // ==========================================================================
+    // Match Editor
+    // ==========================================================================
+
+    /**
+     * Show every page with its translation so matches can be corrected
+     */
+    async openMatchEditor() {
+        if (!this.currentSeriesData) return;
+
+        // Matches saved with an existing series of the same name apply first
+        await this.reuseManualMatches(this.elements.seriesName?.value.trim());
+
+        this.renderMatchEditor();
+        DOM.toggle(this.elements.matchEditor, true);
+        DOM.toggle(this.elements.editMatchesBtn, false);
+    }
+
+    /**
+     * Hide the match editor and release page thumbnails
+     */
+    closeMatchEditor() {
+        DOM.toggle(this.elements.matchEditor, false);
+        DOM.toggle(this.elements.editMatchesBtn, true);
+        DOM.setHTML(this.elements.matchList, '');
+        this.releaseMatchEditorUrls();
+    }
+
+    /**
+     * Revoke thumbnail object URLs created for the match editor
+     */
+    releaseMatchEditorUrls() {
+        this.matchEditorUrls.forEach(url => URL.revokeObjectURL(url));
+        this.matchEditorUrls = [];
+    }
+
+    /**
+     * Render one row per page: image, translation picker and text preview
+     */
+    renderMatchEditor() {
+        const data = this.currentSeriesData;
+        const escape = StringUtils.escapeHTML;
+
+        this.releaseMatchEditorUrls();
+
+        const optionsHTML = '<option value="">— No translation —</option>' +
+            data.translations.map(trans => {
+                const key = fileManager.getTranslationKey(trans);
+                return `<option value="${escape(key)}">${escape(key)}</option>`;
+            }).join('');
+
+        const rowsHTML = data.matched.map((page, index) => {
+            const url = URL.createObjectURL(page.image.blob);
+            this.matchEditorUrls.push(url);
+
+            return `
+                <div class="match-row" data-page-index="${index}">
+                    <img class="match-thumb" src="${url}" alt="" loading="lazy">
+                    <div class="match-details">
+                        <div class="match-page">Page ${index + 1} · <code>${escape(fileManager.getPageKey(page))}</code></div>
+                        <select class="input match-select" data-page-index="${index}">${optionsHTML}</select>
+                        <div class="match-preview" draggable="true"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        DOM.setHTML(this.elements.matchList, rowsHTML);
+        data.matched.forEach((page, index) => this.updateMatchRow(index));
+    }
+
+    /**
+     * Sync one editor row with its page's current translation
+     */
+    updateMatchRow(index) {
+        const row = this.elements.matchList.querySelector(`.match-row[data-page-index="${index}"]`);
+        const page = this.currentSeriesData.matched[index];
+        if (!row || !page) return;
+
+        const translation = page.translation;
+        const key = fileManager.getPageKey(page);
+        const isManual = !!this.currentSeriesData.manualMatches &&
+            key in this.currentSeriesData.manualMatches;
+
+        row.querySelector('.match-select').value = translation ? fileManager.getTranslationKey(translation) : '';
+        DOM.setText(row.querySelector('.match-preview'), translation ?
+            this.getTranslationPreview(translation) : 'No overlay for this page');
+
+        row.classList.toggle('unmatched', !translation);
+        row.classList.toggle('manual', isManual);
+    }
+
+    /**
+     * First few lines of OCR text, to check a match at a glance
+     */
+    getTranslationPreview(translation) {
+        const lines = (translation.data?.blocks || []).flatMap(block => block.lines || []);
+        const text = lines.join(' ').trim();
+        if (!text) return '(no text on this page)';
+        return text.length > 80 ? text.substring(0, 80) + '…' : text;
+    }
+
+    /**
+     * Delegated select and drag-and-drop handling for the match list
+     */
+    setupMatchListEvents() {
+        const list = this.elements.matchList;
+        if (!list) return;
+
+        EventUtils.on(list, 'change', (e) => {
+            if (!e.target.classList.contains('match-select')) return;
+            this.assignMatch(parseInt(e.target.dataset.pageIndex), e.target.value || null);
+        });
+
+        // Drag a translation preview onto another page to move it there
+        EventUtils.on(list, 'dragstart', (e) => {
+            const row = e.target.closest('.match-row');
+            if (!row || !e.target.classList.contains('match-preview')) return;
+            e.dataTransfer.setData('text/plain', row.dataset.pageIndex);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        EventUtils.on(list, 'dragover', (e) => {
+            if (e.target.closest('.match-row')) {
+                e.preventDefault();
+            }
+        });
+
+        EventUtils.on(list, 'drop', (e) => {
+            const row = e.target.closest('.match-row');
+            if (!row) return;
+            e.preventDefault();
+
+            const sourceIndex = parseInt(e.dataTransfer.getData('text/plain'));
+            const targetIndex = parseInt(row.dataset.pageIndex);
+            if (isNaN(sourceIndex) || sourceIndex === targetIndex) return;
+
+            this.moveMatch(sourceIndex, targetIndex);
+        });
+    }
+
+    /**
+     * Assign a translation (or none) to a page
+     */
+    assignMatch(pageIndex, translationKey) {
+        try {
+            fileManager.assignTranslation(this.currentSeriesData, pageIndex, translationKey);
+            this.updateMatchRow(pageIndex);
+            this.refreshMatchSummary();
+        } catch (error) {
+            console.error('Failed to assign translation:', error);
+            ErrorHandler.show(error.message, this.elements.matchEditor);
+        }
+    }
+
+    /**
+     * Move a translation from one page to another, leaving the source unassigned
+     */
+    moveMatch(sourceIndex, targetIndex) {
+        const translation = this.currentSeriesData.matched[sourceIndex]?.translation;
+        if (!translation) return;
+
+        const data = this.currentSeriesData;
+        fileManager.assignTranslation(data, targetIndex, fileManager.getTranslationKey(translation));
+        fileManager.assignTranslation(data, sourceIndex, null);
+
+        this.updateMatchRow(sourceIndex);
+        this.updateMatchRow(targetIndex);
+        this.refreshMatchSummary();
+    }
+
+    /**
+     * Shift every match by the offset entered in the toolbar
+     */
+    shiftMatches() {
+        const offset = parseInt(this.elements.matchOffset?.value) || 0;
+        if (offset === 0) return;
+
+        fileManager.shiftMatches(this.currentSeriesData, offset);
+        this.currentSeriesData.matched.forEach((page, index) => this.updateMatchRow(index));
+        this.refreshMatchSummary();
+    }
+
+    /**
+     * Discard manual matches and return to automatic matching
+     */
+    resetMatches() {
+        fileManager.resetMatches(this.currentSeriesData);
+        this.currentSeriesData.matched.forEach((page, index) => this.updateMatchRow(index));
+        this.refreshMatchSummary();
+    }
+
+    /**
+     * Re-render coverage and report after matches changed
+     */
+    refreshMatchSummary() {
+        this.updateSeriesInfo(this.currentSeriesData);
+        this.renderImportReport(this.currentSeriesData.report);
+    }
+
+    /**
+     * Apply manual matches saved with a stored series of this name
+     */
+    async reuseManualMatches(seriesName) {
+        if (!seriesName || !this.currentSeriesData) return 0;
+
+        try {
+            const manualMatches = await indexedDBManager.getManualMatches(seriesName);
+            const applied = fileManager.applyManualMatches(this.currentSeriesData, manualMatches);
+
+            if (applied > 0) {
+                console.log(`Reused ${applied} manual matches from "${seriesName}"`);
+                this.refreshMatchSummary();
+            }
+            return applied;
+        } catch (error) {
+            console.error('Failed to load saved matches:', error);
+            return 0;
+        }
+    }
+
+    // ==========================================================================
+    // Library
+    // ==========================================================================
+
+    /**
+     * Debug function to check IndexedDB contents
+     */
+    async debugIndexedDB() {
+        try {
+            console.log('=== IndexedDB Debug Info ===');
+            await indexedDBManager.init();
+            const allSeries = await indexedDBManager.listAllSeries();
+            console.log('All series keys:', allSeries);
+            
+            for (const seriesName of allSeries) {
+                const data = await indexedDBManager.getSeries(seriesName);
+                console.log(`Series "${seriesName}":`, {
+                    hasFiles: !!data?.files,
+                    hasDirectData: !!(data?.images || data?.matched),
+                    structure: Object.keys(data || {}),
+                    filesStructure: data?.files ? Object.keys(data.files) : 'N/A',
+                    imageCount: data?.files?.images?.length || data?.images?.length || 0,
+                    matchedCount: data?.files?.matched?.length || data?.matched?.length || 0
+                });
+            }
+        } catch (error) {
+            console.error('IndexedDB debug error:', error);
+        }
+    }
+
+    /**
+     * Load series summaries from IndexedDB and display the library
+     */
+    async loadLibrary() {
+        if (!this.elements.libraryList) return;
+
+        try {
+            this.librarySeries = await indexedDBManager.listSeriesSummaries();
+            this.renderLibrary();
+        } catch (error) {
+            console.error('Error loading library:', error);
+            this.librarySeries = [];
+            this.showEmptyLibrary();
+        }
+
+        await this.renderStorage();
+    }
+
+    /**
+     * Render library cards with current sort and filter
+     */
+    renderLibrary() {
+        if (!this.elements.libraryList) return;
+
+        // Release cover URLs from the previous render
+        this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls = [];
+
+        if (this.librarySeries.length === 0) {
+            this.showEmptyLibrary();
+            return;
+        }
+
+        const filter = (this.elements.libraryFilter?.value || '').trim().toLowerCase();
+        const sort = this.elements.librarySort?.value || 'recent';
+
+        const entries = this.librarySeries
+            .filter(series => !filter || this.getLibrarySearchText(series).includes(filter))
+            .map(series => {
+                const progress = storageManager.getProgress(series.name);
+                return {
+                    ...series,
+                    progress,
+                    lastRead: progress?.lastRead || null,
+                    percentage: progress?.percentage || 0
+                };
+            });
+
+        entries.sort(this.getLibrarySorter(sort));
+
+        if (entries.length === 0) {
+            DOM.setHTML(this.elements.libraryList, `
+                <div class="no-recent">
+                    <p>No series match "${StringUtils.escapeHTML(filter)}".</p>
+                </div>
+            `);
+            return;
+        }
+
+        const libraryHTML = entries.map(series => {
+            const coverage = series.pageCount > 0 ?
+                Math.round((series.translatedCount / series.pageCount) * 100) : 0;
+            const progress = series.progress;
+            let cover = '<div class="library-cover-placeholder">📖</div>';
+
+            if (series.thumbnail) {
+                const url = URL.createObjectURL(series.thumbnail);
+                this.thumbnailUrls.push(url);
+                cover = `<img class="library-cover-image" src="${url}" alt="" loading="lazy">`;
+            }
+
+            return `
+            <div class="library-item" data-series="${StringUtils.escapeHTML(series.name)}">
+                <div class="library-cover">${cover}</div>
+                <div class="library-details">
+                    <h3 title="${StringUtils.escapeHTML(series.name)}">${StringUtils.escapeHTML(StringUtils.truncate(series.name, 40))}</h3>
+                    ${series.metadata ? `<div class="library-metadata">${StringUtils.escapeHTML(StringUtils.describeMetadata(series.metadata))}</div>` : ''}
+                    <div class="recent-meta">
+                        <span>📖 ${series.pageCount} pages</span>
+                        <span>${series.thumbnailOnly ? '🖼️ Thumbnail only' : `🌐 ${coverage}% translated`}</span>
+                    </div>
+                    <div class="library-progress-bar">
+                        <div class="library-progress-fill" style="width: ${series.percentage}%"></div>
+                    </div>
+                    <div class="recent-meta">
+                        <span>${progress ? `Page ${progress.currentPage + 1}/${progress.totalPages} (${progress.percentage}%)` : 'Not started'}</span>
+                        <span>${series.lastRead ? StringUtils.formatDate(series.lastRead) : 'Added ' + StringUtils.formatDate(series.uploadDate)}</span>
+                    </div>
+                    <div class="library-actions">
+                        <button class="btn btn-primary library-continue-btn">${series.thumbnailOnly ? 'Re-upload to Read' : progress ? 'Continue Reading' : 'Start Reading'}</button>
+                        <button class="btn btn-secondary library-manage-btn" title="Rename, merge or delete">Manage</button>
+                    </div>
+                </div>
+            </div>
+            `;
+        }).join('');
+
+        DOM.setHTML(this.elements.libraryList, libraryHTML);
+
+        // Whole card and continue button both open the reader at the saved page
+        const libraryItems = this.elements.libraryList.querySelectorAll('.library-item');
+        libraryItems.forEach(item => {
+            EventUtils.on(item, 'click', () => {
+                this.openSeries(item.dataset.series);
+            });
+
+            EventUtils.on(item.querySelector('.library-manage-btn'), 'click', (e) => {
+                e.stopPropagation();
+                this.openManagePanel(item.dataset.series);
+            });
+        });
+    }
+
+    /**
+     * Get comparator for a library sort option
+     */
+    getLibrarySorter(sort) {
+        switch (sort) {
+            case 'title':
+                return (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true });
+            case 'progress':
+                return (a, b) => b.percentage - a.percentage;
+            case 'size':
+                return (a, b) => b.totalSize - a.totalSize;
+            case 'recent':
+            default:
+                return (a, b) => (b.lastRead || b.uploadDate) - (a.lastRead || a.uploadDate);
+        }
+    }
+
+    // ==========================================================================
+    // Series Management
+    // ==========================================================================
+
+    /**
+     * Open the management panel for a library series
+     */
+    openManagePanel(seriesName) {
+        const series = this.librarySeries.find(entry => entry.name === seriesName);
+        if (!series || !this.elements.managePanel) return;
+
+        this.managedSeries = seriesName;
+        DOM.setText(this.elements.manageTitle, `Manage "${seriesName}"`);
+        this.elements.manageRenameInput.value = seriesName;
+
+        const retention = series.retention || { mode: 'forever', days: null };
+        this.elements.manageRetentionMode.value = retention.mode;
+        this.elements.manageRetentionDays.value = retention.days || 30;
+        DOM.toggle(this.elements.manageRetentionDays, retention.mode === 'days');
+
+        const mergeOptions = this.librarySeries
+            .filter(entry => entry.name !== seriesName)
+            .map(entry => `<option value="${StringUtils.escapeHTML(entry.name)}">${StringUtils.escapeHTML(entry.name)}</option>`)
+            .join('');
+        DOM.setHTML(this.elements.manageMergeSelect, mergeOptions || '<option value="">No other series</option>');
+        this.elements.manageMergeBtn.disabled = !mergeOptions;
+
+        const revisionCount = series.revisionCount || 0;
+        DOM.setText(this.elements.manageRevisions, revisionCount > 0 ?
+            `${revisionCount} earlier version${revisionCount === 1 ? '' : 's'} saved` :
+            'No earlier versions');
+        this.elements.manageRollbackBtn.disabled = revisionCount === 0;
+
+        DOM.toggle(this.elements.managePanel, true);
+        Animation.scrollTo(this.elements.managePanel, 100);
+    }
+
+    /**
+     * Close the management panel
+     */
+    closeManagePanel() {
+        this.managedSeries = null;
+        DOM.toggle(this.elements.managePanel, false);
+    }
+
+    /**
+     * Rename the managed series, carrying progress and recent entry along
+     */
+    async renameManagedSeries() {
+        const oldName = this.managedSeries;
+        if (!oldName) return;
+
+        const validation = Validation.seriesName(this.elements.manageRenameInput.value);
+        if (!validation.valid) {
+            ErrorHandler.show(validation.error, this.elements.managePanel);
+            return;
+        }
+
+        const newName = validation.value;
+        if (newName === oldName) return;
+
+        try {
+            await indexedDBManager.renameSeries(oldName, newName);
+            storageManager.renameSeries(oldName, newName);
+            this.closeManagePanel();
+            await this.loadLibrary();
+        } catch (error) {
+            console.error('Rename failed:', error);
+            ErrorHandler.show(error.message || 'Failed to rename series', this.elements.managePanel);
+        }
+    }
+
+    /**
+     * Save the retention policy of the managed series
+     */
+    async saveManagedRetention() {
+        if (!this.managedSeries) return;
+
+        try {
+            await indexedDBManager.updateRetention(this.managedSeries, {
+                mode: this.elements.manageRetentionMode.value,
+                days: parseInt(this.elements.manageRetentionDays.value) || 30
+            });
+            await this.loadLibrary();
+            this.openManagePanel(this.managedSeries);
+        } catch (error) {
+            console.error('Retention update failed:', error);
+            ErrorHandler.show(error.message || 'Failed to update retention', this.elements.managePanel);
+        }
+    }
+
+    /**
+     * Merge another series into the managed one, then remove the other
+     */
+    async mergeIntoManagedSeries() {
+        const targetName = this.managedSeries;
+        const sourceName = this.elements.manageMergeSelect.value;
+        if (!targetName || !sourceName) return;
+
+        if (!confirm(`Merge "${sourceName}" into "${targetName}"? "${sourceName}" will be removed from the library.`)) {
+            return;
+        }
+
+        try {
+            const target = await indexedDBManager.getSeries(targetName);
+            const source = await indexedDBManager.getSeries(sourceName);
+            if (!target || !source) {
+                throw new Error('Both series must be in the library to merge');
+            }
+
+            // Keep colliding page paths apart by filing the source under its own folder
+            const prefix = fileManager.hasPathCollisions(target.files, source.files) ? sourceName : null;
+            const { files, added } = fileManager.mergeFileSets(target.files, source.files, { prefix });
+
+            await indexedDBManager.updateSeriesFiles(targetName, files);
+            await indexedDBManager.deleteSeries(sourceName);
+            storageManager.removeSeriesData(sourceName);
+
+            console.log(`Merged ${added.length} pages from "${sourceName}" into "${targetName}"`);
+            this.closeManagePanel();
+            await this.loadLibrary();
+        } catch (error) {
+            console.error('Merge failed:', error);
+            ErrorHandler.show(error.message || 'Failed to merge series', this.elements.managePanel);
+        }
+    }
+
+    /**
+     * Restore the translations from before the last translation update
+     */
+    async rollbackManagedTranslations() {
+        const seriesName = this.managedSeries;
+        if (!seriesName) return;
+
+        if (!confirm(`Restore the translations of "${seriesName}" from before the last update?`)) {
+            return;
+        }
+
+        try {
+            const series = await indexedDBManager.getSeries(seriesName);
+            if (!series) {
+                throw new Error(`Series "${seriesName}" not found`);
+            }
+
+            const restored = fileManager.rollbackTranslations(series.files);
+            await indexedDBManager.updateSeriesFiles(seriesName, series.files);
+
+            console.log(`Rolled back translations on ${restored} pages of "${seriesName}"`);
+            await this.loadLibrary();
+            this.openManagePanel(seriesName);
+        } catch (error) {
+            console.error('Rollback failed:', error);
+            ErrorHandler.show(error.message || 'Failed to roll back translations', this.elements.managePanel);
+        }
+    }
+
+    /**
+     * Delete the managed series with all its progress
+     */
+    async deleteManagedSeries() {
+        const seriesName = this.managedSeries;
+        if (!seriesName) return;
+
+        if (!confirm(`Delete "${seriesName}" and its reading progress? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await indexedDBManager.deleteSeries(seriesName);
+            storageManager.removeSeriesData(seriesName);
+            this.closeManagePanel();
+            await this.loadLibrary();
+        } catch (error) {
+            console.error('Delete failed:', error);
+            ErrorHandler.show(error.message || 'Failed to delete series', this.elements.managePanel);
+        }
+    }
+
+    /**
+     * Text a library filter matches against: name plus series and writer metadata
+     */
+    getLibrarySearchText(series) {
+        const metadata = series.metadata || {};
+        return [series.name, metadata.series, metadata.title, metadata.writer]
+            .filter(Boolean)
+            .join(' ')
+            .toLowerCase();
+    }
+
+    /**
+     * Show empty library message
+     */
+    showEmptyLibrary() {
+        const emptyHTML = `
+            <div class="no-recent">
+                <p>Your library is empty.</p>
+                <p>Upload a manga archive to get started!</p>
+            </div>
+        `;
+        DOM.setHTML(this.elements.libraryList, emptyHTML);
+    }
+
+    /**
+     * Open a stored series in the reader, or ask for a re-upload if it is gone
+     */
+    async openSeries(seriesName) {
+        const summary = this.librarySeries.find(series => series.name === seriesName);
+        if (summary?.thumbnailOnly) {
+            this.promptReupload(seriesName);
+            return;
+        }
+
+        try {
+            if (await indexedDBManager.hasSeries(seriesName)) {
+                const progress = storageManager.getProgress(seriesName);
+                const page = (progress?.currentPage || 0) + 1;
+                window.location.href = `reader.html?series=${encodeURIComponent(seriesName)}&page=${page}`;
+                return;
+            }
+        } catch (error) {
+            console.error('Error checking stored series:', error);
+        }
+
+        this.promptReupload(seriesName);
+    }
+
+    /**
+     * Prompt user to re-upload files for a series no longer in the library
+     */
+    promptReupload(seriesName) {
+        const progress = storageManager.getProgress(seriesName);
+        const trimmed = !!this.librarySeries.find(series => series.name === seriesName)?.thumbnailOnly;
+        if (!progress && !trimmed) return;
+
+        const reason = trimmed ?
+            'Only the thumbnail of this series was kept to save space' :
+            'This series is no longer in your library';
+        const message = `
+            Continue reading "${seriesName}"?
+            ${progress ? `
+            You were on page ${progress.currentPage + 1} of ${progress.totalPages}.` : ''}
+            ${reason}, so you'll need to upload the same archive again to continue.
         `;
 
         if (confirm(message)) {
@@ -477,6 +2145,302 @@ class MangaReaderApp {
         }
     }
 
+    // ==========================================================================
+    // Storage
+    // ==========================================================================
+
+    /**
+     * Render quota usage and the per-series storage list
+     */
+    async renderStorage() {
+        if (!this.elements.storageOverview) return;
+
+        const info = await indexedDBManager.getStorageInfo();
+        const settingsInfo = storageManager.getStorageInfo();
+        const blobStats = await indexedDBManager.getBlobStats().catch(() => null);
+        const libraryBytes = this.librarySeries.reduce((sum, series) => sum + series.storedSize, 0);
+        const hasQuota = typeof info.available === 'number';
+
+        DOM.setHTML(this.elements.storageOverview, `
+            ${hasQuota ? `
+                <div class="library-progress-bar storage-bar">
+                    <div class="library-progress-fill${info.percentage >= 90 ? ' storage-bar-full' : ''}" style="width: ${Math.min(100, info.percentage)}%"></div>
+                </div>
+                <p>Using ${FileUtils.formatSize(info.used)} of ${FileUtils.formatSize(info.available)} available to this site (${info.percentage}%)</p>
+            ` : '<p>This browser does not report its storage quota.</p>'}
+            <div class="recent-meta">
+                <span>📚 Library: ${FileUtils.formatSize(libraryBytes)} in ${this.librarySeries.length} series</span>
+                ${typeof settingsInfo.used === 'number' ? `<span>⚙️ Progress &amp; settings: ${FileUtils.formatSize(settingsInfo.used)}</span>` : ''}
+            </div>
+            ${blobStats?.saved > 0 ? `
+                <p class="storage-note">Pages shared between series are stored once, saving ${FileUtils.formatSize(blobStats.saved)}. Sizes below count shared pages in each series.</p>
+            ` : ''}
+        `);
+
+        if (!this.elements.storageList) return;
+
+        const rows = [...this.librarySeries]
+            .sort((a, b) => b.storedSize - a.storedSize)
+            .map(series => {
+                const lastRead = storageManager.getProgress(series.name)?.lastRead;
+                const share = libraryBytes > 0 ? Math.round((series.storedSize / libraryBytes) * 100) : 0;
+
+                return `
+                <div class="storage-item" data-series="${StringUtils.escapeHTML(series.name)}">
+                    <div class="storage-item-details">
+                        <strong title="${StringUtils.escapeHTML(series.name)}">${StringUtils.escapeHTML(StringUtils.truncate(series.name, 40))}</strong>
+                        <div class="recent-meta">
+                            <span>${FileUtils.formatSize(series.storedSize)} (${share}%)</span>
+                            <span>${series.thumbnailOnly ? 'Thumbnail only' : lastRead ? 'Read ' + StringUtils.formatDate(lastRead) : 'Never read'}</span>
+                        </div>
+                    </div>
+                    <div class="storage-item-actions">
+                        ${series.thumbnailOnly ? '' : '<button class="btn btn-secondary" data-action="thumbnail" title="Remove pages, keep cover and progress">Keep Thumbnail</button>'}
+                        <button class="btn btn-danger" data-action="delete">Delete</button>
+                    </div>
+                </div>
+                `;
+            });
+
+        DOM.setHTML(this.elements.storageList, rows.join('') || '<p class="storage-empty">Nothing stored yet.</p>');
+    }
+
+    /**
+     * Free space held by series: 'delete' removes them, 'thumbnail' keeps only their cover
+     */
+    async freeSeriesSpace(seriesNames, mode) {
+        if (seriesNames.length === 0) return;
+
+        const list = seriesNames.map(name => `"${name}"`).join(', ');
+        const question = mode === 'delete' ?
+            `Delete ${list} and reading progress? This cannot be undone.` :
+            `Remove the pages of ${list}? The cover and reading progress are kept; upload the archive again to read.`;
+
+        if (!confirm(question)) return false;
+
+        try {
+            for (const name of seriesNames) {
+                if (mode === 'delete') {
+                    await indexedDBManager.deleteSeries(name);
+                    storageManager.removeSeriesData(name);
+                } else {
+                    await indexedDBManager.trimToThumbnail(name);
+                }
+            }
+
+            if (seriesNames.includes(this.managedSeries)) {
+                this.closeManagePanel();
+            }
+            await this.loadLibrary();
+            return true;
+        } catch (error) {
+            console.error('Freeing space failed:', error);
+            ErrorHandler.show(error.message || 'Failed to free space', this.elements.storageList);
+            return false;
+        }
+    }
+
+    /**
+     * Warn before storing when the series won't fit in the remaining quota.
+     * Returns true when storing can go ahead.
+     */
+    async checkStorageBeforeImport(seriesName) {
+        DOM.toggle(this.elements.quotaWarning, false);
+
+        if (this.quotaAcknowledged || !this.elements.quotaWarning) return true;
+
+        try {
+            const needed = await indexedDBManager.estimateAddedSize(this.currentSeriesData);
+            const check = await indexedDBManager.checkQuota(needed);
+            if (check.fits) return true;
+
+            await this.showQuotaWarning(needed, check.free, seriesName);
+            return false;
+        } catch (error) {
+            console.error('Quota check failed:', error);
+            return true;
+        }
+    }
+
+    /**
+     * Show how much space an import needs and offer to free it,
+     * least recently read series first
+     */
+    async showQuotaWarning(needed, free, seriesName) {
+        const warning = this.elements.quotaWarning;
+        if (!warning) {
+            ErrorHandler.show('Not enough storage space to save this series');
+            return;
+        }
+
+        const bytesToFree = free === null ? needed : needed - free;
+        this.quotaPlan = await indexedDBManager.planEviction(bytesToFree, seriesName);
+        const candidates = this.quotaPlan.series;
+
+        const candidateList = candidates
+            .map(series => `<li><strong>${StringUtils.escapeHTML(series.name)}</strong> (${FileUtils.formatSize(series.size)})</li>`)
+            .join('');
+
+        DOM.setHTML(warning, `
+            <p>⚠️ This series needs about ${FileUtils.formatSize(needed)}${free === null ?
+                ', but the browser ran out of storage space' :
+                `, but only ${FileUtils.formatSize(free)} of storage is free`}.</p>
+            ${candidates.length > 0 ? `
+                <p>Free ${FileUtils.formatSize(this.quotaPlan.freed)} from the least recently read series${this.quotaPlan.sufficient ? '' : ' (may not be enough)'}:</p>
+                <ul>${candidateList}</ul>
+            ` : '<p>There are no other series to remove.</p>'}
+            <div class="manage-actions">
+                ${candidates.length > 0 ? `
+                    <button class="btn btn-danger" data-action="delete" type="button">Delete them</button>
+                    <button class="btn btn-secondary" data-action="thumbnail" type="button">Keep only their thumbnails</button>
+                ` : ''}
+                <button class="btn btn-secondary" data-action="ignore" type="button">Try anyway</button>
+            </div>
+        `);
+        DOM.toggle(warning, true);
+        Animation.scrollTo(warning, 100);
+    }
+
+    /**
+     * Act on a quota warning choice, then retry storing
+     */
+    async resolveQuotaWarning(action) {
+        if (action === 'ignore') {
+            this.quotaAcknowledged = true;
+        } else {
+            const names = (this.quotaPlan?.series || []).map(series => series.name);
+            if (!await this.freeSeriesSpace(names, action)) return;
+        }
+
+        this.quotaPlan = null;
+        DOM.toggle(this.elements.quotaWarning, false);
+        await this.startReading();
+    }
+
+    // ==========================================================================
+    // Library Backup
+    // ==========================================================================
+
+    /**
+     * Download the whole library as one archive
+     */
+    async exportLibrary() {
+        this.setBackupBusy(true);
+
+        try {
+            const backup = await libraryBackup.exportLibrary((done, total, name) => {
+                this.showBackupStatus(`Exporting ${done + 1} of ${total}: ${name}...`);
+            });
+
+            const date = new Date().toISOString().slice(0, 10);
+            FileUtils.downloadBlob(backup.blob, `manga-library-${date}.zip`);
+
+            this.showBackupStatus(`✅ Exported ${backup.exported.length} series (${FileUtils.formatSize(backup.blob.size)})` +
+                (backup.skipped.length > 0 ?
+                    `. Skipped ${backup.skipped.length} trimmed to their thumbnail: ${backup.skipped.join(', ')}` : ''));
+        } catch (error) {
+            console.error('Library export failed:', error);
+            this.showBackupStatus('');
+            ErrorHandler.show(error.message || 'Failed to export library', this.elements.storageList);
+        } finally {
+            this.setBackupBusy(false);
+        }
+    }
+
+    /**
+     * Read a backup archive and ask how to restore it
+     */
+    async openBackup(file) {
+        this.closeRestore();
+        this.setBackupBusy(true);
+        this.showBackupStatus(`Reading ${file.name}...`);
+
+        try {
+            this.pendingBackup = await libraryBackup.readBackup(file);
+        } catch (error) {
+            console.error('Reading library backup failed:', error);
+            this.showBackupStatus('');
+            ErrorHandler.show(error.message || 'Failed to read backup', this.elements.storageList);
+            return;
+        } finally {
+            this.setBackupBusy(false);
+        }
+
+        const { manifest, conflicts } = this.pendingBackup;
+        const conflictList = conflicts.map(name => `<strong>${StringUtils.escapeHTML(name)}</strong>`).join(', ');
+
+        DOM.setHTML(this.elements.libraryRestoreSummary, `
+            ${manifest.series.length} series from ${StringUtils.formatDate(manifest.exportDate)}.
+            ${conflicts.length > 0 ? `Already in your library: ${conflictList}.` : ''}
+        `);
+        DOM.toggle(this.elements.restoreConflictRow, conflicts.length > 0);
+        DOM.toggle(this.elements.libraryRestore, true);
+        this.showBackupStatus('');
+    }
+
+    /**
+     * Restore the opened backup with the chosen conflict handling
+     */
+    async restoreBackup() {
+        if (!this.pendingBackup) return;
+
+        const backup = this.pendingBackup;
+        const conflict = this.elements.restoreConflict.value;
+        this.closeRestore();
+        this.setBackupBusy(true);
+
+        try {
+            const result = await libraryBackup.restoreLibrary(backup, conflict, (done, total, name) => {
+                this.showBackupStatus(`Restoring ${done + 1} of ${total}: ${name}...`);
+            });
+
+            const renamed = result.restored.filter(series => series.name !== series.from);
+            const messages = [`✅ Restored ${result.restored.length} series`];
+            if (renamed.length > 0) {
+                messages.push(`Kept both copies as ${renamed.map(series => `"${series.name}"`).join(', ')}`);
+            }
+            if (result.skipped.length > 0) {
+                messages.push(`Skipped ${result.skipped.length} already in your library`);
+            }
+            if (result.failed.length > 0) {
+                messages.push(`Failed: ${result.failed.map(series => `"${series.name}" (${series.error})`).join(', ')}`);
+            }
+            this.showBackupStatus(messages.join('. '));
+
+            await this.loadLibrary();
+        } catch (error) {
+            console.error('Library restore failed:', error);
+            this.showBackupStatus('');
+            ErrorHandler.show(error.message || 'Failed to restore library', this.elements.storageList);
+        } finally {
+            this.setBackupBusy(false);
+        }
+    }
+
+    /**
+     * Hide the restore options and drop the opened backup
+     */
+    closeRestore() {
+        this.pendingBackup = null;
+        DOM.toggle(this.elements.libraryRestore, false);
+    }
+
+    /**
+     * Disable the backup buttons while exporting or restoring
+     */
+    setBackupBusy(busy) {
+        this.elements.exportLibraryBtn.disabled = busy;
+        this.elements.importLibraryBtn.disabled = busy;
+    }
+
+    /**
+     * Show a backup progress or result line (empty to hide it)
+     */
+    showBackupStatus(message) {
+        DOM.setText(this.elements.backupStatus, message);
+        DOM.toggle(this.elements.backupStatus, !!message);
+    }
+
     // ==========================================================================
     // UI State Management
     // ==========================================================================
@@ -486,16 +2450,31 @@ class MangaReaderApp {
      */
     resetUploadUI() {
         try {
+            // Abort anything still running so no partial data is kept
+            if (this.uploadController) {
+                this.uploadController.abort();
+                this.uploadController = null;
+            }
+
             Progress.hide();
             DOM.toggle(this.elements.uploadArea, true);
             DOM.toggle(this.elements.seriesSetup, false);
             
-            // Clear file input
+            // Clear file inputs
             if (this.elements.fileInput) {
                 this.elements.fileInput.value = '';
             }
+            if (this.elements.folderInput) {
+                this.elements.folderInput.value = '';
+            }
             
             // Clear current data
+            DOM.toggle(this.elements.translationUpdate, false);
+            DOM.toggle(this.elements.quotaWarning, false);
+            this.translationPlan = null;
+            this.quotaPlan = null;
+            this.quotaAcknowledged = false;
+            this.closeMatchEditor();
             this.currentSeriesData = null;
             fileManager.clear();
             
@@ -512,7 +2491,7 @@ class MangaReaderApp {
             Manga Translation Reader v1.0
             
             Features:
-            • Upload ZIP files with manga + translations
+            • Upload ZIP/CBZ, CBR or CB7 archives with manga + translations
             • Mobile-friendly reading interface  
             • Translation overlay toggle
             • Progress tracking across sessions
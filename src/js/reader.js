@@ -6,6 +6,7 @@
 class MangaReader {
     constructor() {
         this.files = null;
+        this.structure = null;
         this.currentPage = 0;
         this.seriesName = '';
         this.isOverlayVisible = false;
@@ -15,8 +16,20 @@ class MangaReader {
             translationOpacity: 80,
             textSize: 16,
             fitToWidth: true,
-            hideUI: false
+            hideUI: false,
+            translationLanguage: '', // Preferred layer ('' = file without a language suffix)
+            showOriginal: false
         };
+        this.defaultReadingDirection = 'ltr'; // Global choice; a series may override it
+
+        // Translation layers of this series ('' = default layer)
+        this.availableLanguages = [''];
+        this.currentLanguage = '';
+
+        // Page images are read from IndexedDB on demand; blobs further than
+        // this many pages from the current one are released
+        this.pageWindow = 2;
+        this.pageRequests = new Map(); // pageIndex -> pending getPageData promise
         
         // UI state
         this.isUIVisible = true;
@@ -52,6 +65,9 @@ class MangaReader {
         this.seriesTitle = DOM.get('seriesTitle');
         this.currentPageEl = DOM.get('currentPage');
         this.totalPagesEl = DOM.get('totalPages');
+        this.chapterInfo = DOM.get('chapterInfo');
+        this.seriesMeta = DOM.get('seriesMeta');
+        this.chaptersBtn = DOM.get('chaptersBtn');
         this.overlayToggle = DOM.get('overlayToggle');
         this.settingsBtn = DOM.get('settingsBtn');
         
@@ -82,8 +98,18 @@ class MangaReader {
         this.textSizeValue = DOM.get('textSizeValue');
         this.fitToWidth = DOM.get('fitToWidth');
         this.hideUI = DOM.get('hideUI');
+        this.languageSettings = DOM.get('languageSettings');
+        this.translationLanguage = DOM.get('translationLanguage');
+        this.showOriginal = DOM.get('showOriginal');
         this.resetProgress = DOM.get('resetProgress');
         
+        // Chapter elements
+        this.chapterPanel = DOM.get('chapterPanel');
+        this.closeChapters = DOM.get('closeChapters');
+        this.chapterList = DOM.get('chapterList');
+        this.prevChapterBtn = DOM.get('prevChapterBtn');
+        this.nextChapterBtn = DOM.get('nextChapterBtn');
+        
         // Toast
         this.toast = DOM.get('progressToast');
         this.toastMessage = DOM.get('toastMessage');
@@ -154,7 +180,14 @@ class MangaReader {
             }
             
             console.log(`Looking for series: "${this.seriesName}"`);
-            const seriesData = await indexedDBManager.getSeries(this.seriesName);
+            // Only the page list: images and translations are loaded per page
+            const seriesData = await indexedDBManager.getSeriesIndex(this.seriesName);
+
+            if (seriesData?.thumbnailOnly) {
+                this.showToast('This series was trimmed to save space. Upload the archive again to read it.', 'error');
+                setTimeout(() => this.redirectToUpload(), 3000);
+                return false;
+            }
             
             console.log('Retrieved seriesData:', seriesData);
             console.log('seriesData structure:', {
@@ -180,25 +213,13 @@ class MangaReader {
                     }
                 }
                 
-                this.showToast('Session expired or data not found. Please re-upload your files.', 'error');
+                this.showToast('Series not found in your library. Please re-upload your files.', 'error');
                 setTimeout(() => this.redirectToUpload(), 3000);
                 return false;
             }
             
-            // Extract files from the IndexedDB stored structure
-            // Handle both old and new data structures
-            if (seriesData.files) {
-                this.files = seriesData.files;
-            } else if (seriesData.matched) {
-                // Handle legacy structure where data might be at top level
-                this.files = {
-                    images: seriesData.images || [],
-                    translations: seriesData.translations || [],
-                    matched: seriesData.matched || []
-                };
-            } else {
-                throw new Error('Invalid data structure in IndexedDB');
-            }
+            // Older top-level records are moved under files by the schema migration
+            this.files = seriesData.files;
             
             console.log('Files structure:', {
                 images: this.files?.images?.length,
@@ -206,14 +227,23 @@ class MangaReader {
                 matched: this.files?.matched?.length
             });
             
-            // Load progress
+            // Load progress; a ?page= parameter (1-based) from the library wins
             const progress = storageManager.getProgress(this.seriesName);
-            this.currentPage = progress?.currentPage || 0;
+            const requestedPage = parseInt(urlParams.get('page'));
+            this.currentPage = requestedPage > 0 ?
+                Math.min(requestedPage - 1, this.files.matched.length - 1) :
+                (progress?.currentPage || 0);
+            
+            // Chapter tree is only meaningful with more than one chapter
+            const chapters = this.files.structure?.chapters || [];
+            this.structure = chapters.length > 1 ? this.files.structure : null;
             
             // Update UI
             this.seriesTitle.textContent = this.seriesName;
+            this.renderSeriesMetadata();
             this.totalPagesEl.textContent = this.files.matched.length;
             this.pageSlider.max = this.files.matched.length;
+            this.renderChapterList();
             
             console.log('Series loaded:', {
                 name: this.seriesName,
@@ -234,6 +264,10 @@ class MangaReader {
     async loadSettings() {
         const savedSettings = storageManager.getSettings();
         this.settings = { ...this.settings, ...savedSettings };
+
+        // Series metadata (ComicInfo Manga=YesAndRightToLeft) sets this series' default direction
+        this.defaultReadingDirection = this.settings.readingDirection;
+        this.settings.readingDirection = this.getSeriesReadingDirection();
         
         // Apply settings to UI
         this.readingDirection.value = this.settings.readingDirection;
@@ -244,6 +278,7 @@ class MangaReader {
         this.textSizeValue.textContent = this.settings.textSize + 'px';
         this.fitToWidth.checked = this.settings.fitToWidth;
         this.hideUI.checked = this.settings.hideUI;
+        this.setupLanguages();
         
         // Apply settings
         this.applySettings();
@@ -271,6 +306,7 @@ class MangaReader {
         this.backBtn?.addEventListener('click', () => this.redirectToUpload());
         this.overlayToggle?.addEventListener('click', () => this.toggleOverlay());
         this.settingsBtn?.addEventListener('click', () => this.openSettings());
+        this.chaptersBtn?.addEventListener('click', () => this.openChapters());
         
         // Navigation
         this.navLeft?.addEventListener('click', (e) => this.handleNavClick(e, 'prev'));
@@ -280,6 +316,18 @@ class MangaReader {
         this.pageSlider?.addEventListener('input', (e) => this.goToPage(parseInt(e.target.value) - 1));
     this.separateToggle?.addEventListener('click', () => this.toggleSeparation());
         
+        // Chapters
+        this.closeChapters?.addEventListener('click', () => this.closeChapterPanel());
+        this.prevChapterBtn?.addEventListener('click', () => this.previousChapter());
+        this.nextChapterBtn?.addEventListener('click', () => this.nextChapter());
+        this.chapterList?.addEventListener('click', (e) => {
+            const item = e.target.closest('.chapter-item');
+            if (item) {
+                this.goToChapter(parseInt(item.dataset.chapter));
+                this.closeChapterPanel();
+            }
+        });
+        
         // Settings
         this.closeSettings?.addEventListener('click', () => this.closeSettingsPanel());
         this.readingDirection?.addEventListener('change', (e) => this.updateSetting('readingDirection', e.target.value));
@@ -288,6 +336,8 @@ class MangaReader {
         this.textSize?.addEventListener('input', (e) => this.updateTextSize(e.target.value));
         this.fitToWidth?.addEventListener('change', (e) => this.updateSetting('fitToWidth', e.target.checked));
         this.hideUI?.addEventListener('change', (e) => this.updateSetting('hideUI', e.target.checked));
+        this.translationLanguage?.addEventListener('change', (e) => this.selectLanguage(e.target.value));
+        this.showOriginal?.addEventListener('change', (e) => this.updateSetting('showOriginal', e.target.checked));
         this.resetProgress?.addEventListener('click', () => this.resetReadingProgress());
         
         // Touch/mouse events for panning
@@ -416,6 +466,7 @@ class MangaReader {
     bindKeyboardEvents() {
         document.addEventListener('keydown', (e) => {
             if (this.settingsPanel?.classList.contains('open')) return;
+            if (this.chapterPanel?.classList.contains('open')) return;
             
             switch (e.key) {
                 case 'ArrowLeft':
@@ -448,6 +499,24 @@ class MangaReader {
                     e.preventDefault();
                     this.toggleFullscreen();
                     break;
+                case '[':
+                    e.preventDefault();
+                    this.previousChapter();
+                    break;
+                case ']':
+                    e.preventDefault();
+                    this.nextChapter();
+                    break;
+                case 'l':
+                    e.preventDefault();
+                    this.cycleLanguage();
+                    break;
+                case 'o':
+                    e.preventDefault();
+                    this.updateSetting('showOriginal', !this.settings.showOriginal);
+                    this.showOriginal.checked = this.settings.showOriginal;
+                    this.showToast(this.settings.showOriginal ? 'Original text shown' : 'Original text hidden');
+                    break;
             }
         });
     }
@@ -489,13 +558,14 @@ class MangaReader {
         this.updateNavigationState();
     }
 
-    loadCurrentPage() {
+    async loadCurrentPage() {
         if (!this.files || this.currentPage < 0 || this.currentPage >= this.files.matched.length) {
             console.error('Invalid page index:', this.currentPage, 'Files:', this.files);
             return;
         }
         
-        const page = this.files.matched[this.currentPage];
+        const pageIndex = this.currentPage;
+        const page = this.files.matched[pageIndex];
         
         // Show loading
         DOM.toggle(this.pageLoading, true);
@@ -505,28 +575,104 @@ class MangaReader {
         // Update page info
         this.currentPageEl.textContent = this.currentPage + 1;
         this.pageSlider.value = this.currentPage + 1;
+        this.updateChapterInfo();
+        
+        // Reset zoom/pan
+        this.resetZoom();
+        
+        console.log(`Loading page ${this.currentPage + 1}/${this.files.matched.length}`);
+
+        try {
+            await this.loadPageData(pageIndex);
+        } catch (error) {
+            console.error('Failed to read page from IndexedDB:', error);
+            this.onImageError();
+            return;
+        }
+
+        // Another page was requested while reading
+        if (this.currentPage !== pageIndex) return;
         
         // Load image
         this.loadPageImage(page);
         
         // Load translations
         this.loadPageTranslations(page);
-        
-        // Reset zoom/pan
-        this.resetZoom();
-        
-        console.log(`Loading page ${this.currentPage + 1}/${this.files.matched.length}`);
+
+        this.preloadAdjacentPages();
     }
 
-    loadPageImage(page) {
+    /**
+     * Read a page's image and translations from IndexedDB into the page object
+     */
+    async loadPageData(pageIndex) {
+        const page = this.files.matched[pageIndex];
+        if (!page || page.image.blob) return;
+
+        if (!this.pageRequests.has(pageIndex)) {
+            const translations = [page.translation, ...Object.values(page.layers || {})]
+                .filter(translation => translation && translation.data === undefined);
+            const ids = [...new Set(translations.map(translation => translation.id))];
+
+            const request = indexedDBManager.getPageData(this.seriesName, pageIndex, ids)
+                .then(({ blob, translations: data }) => {
+                    // The reader may have moved on while this was read; keep the window bounded
+                    if (Math.abs(pageIndex - this.currentPage) <= this.pageWindow) {
+                        page.image.blob = blob;
+                    }
+                    translations.forEach(translation => {
+                        translation.data = data[translation.id];
+                    });
+                })
+                .finally(() => this.pageRequests.delete(pageIndex));
+
+            this.pageRequests.set(pageIndex, request);
+        }
+
+        return this.pageRequests.get(pageIndex);
+    }
+
+    /**
+     * Read the neighbouring pages ahead of time and release images far from the current page
+     */
+    preloadAdjacentPages() {
+        this.files.matched.forEach((page, index) => {
+            if (Math.abs(index - this.currentPage) > this.pageWindow && page.image.blob) {
+                page.image.blob = null;
+            }
+        });
+
+        for (const index of [this.currentPage + 1, this.currentPage - 1]) {
+            if (index >= 0 && index < this.files.matched.length) {
+                this.loadPageData(index).catch(error => {
+                    console.warn(`Failed to preload page ${index + 1}:`, error);
+                });
+            }
+        }
+    }
+
+    async loadPageImage(page) {
         if (!page.image || !page.image.blob) {
             console.error('No image data for page:', page);
             this.showToast('Failed to load page image - no image data', 'error');
             return;
         }
         
+        // JPEG XL/TIFF are decoded in script when the browser can't show them
+        let blob;
+        try {
+            blob = await imageSniffer.toDisplayBlob(page.image.blob, page.image.format);
+        } catch (error) {
+            console.error('Failed to decode page image:', error);
+            this.onImageError();
+            return;
+        }
+
+        // Another page was requested while decoding
+        if (this.files.matched[this.currentPage] !== page) return;
+        
         // Create object URL for the blob
-        const imageUrl = URL.createObjectURL(page.image.blob);
+        const imageUrl = URL.createObjectURL(blob);
         
         // Clean up previous URL
         if (this.currentImageUrl) {
@@ -541,13 +687,15 @@ class MangaReader {
         // Clear existing translations
         this.translationOverlay.innerHTML = '';
         
+        const layer = this.getPageTranslation(page);
         console.log('Loading translations for page:', {
             hasTranslation: page.hasTranslation,
-            translation: page.translation ? 'exists' : 'missing',
-            translationData: page.translation?.data ? 'exists' : 'missing'
+            language: this.currentLanguage || 'default',
+            translation: layer ? 'exists' : 'missing',
+            translationData: layer?.data ? 'exists' : 'missing'
         });
         
-        if (!page.hasTranslation || !page.translation) {
+        if (!layer) {
             console.log('No translation available for this page');
             DOM.toggle(this.noTranslation, true);
             // Hide the translation overlay if there are no translations
@@ -557,21 +705,44 @@ class MangaReader {
         
         // Hide the no translation message when we have translations
         DOM.toggle(this.noTranslation, false);
+        this.translationOverlay.classList.toggle('visible', this.isOverlayVisible);
         
-        const translation = page.translation.data;
-        console.log('Translation data:', translation);
+        console.log('Translation data:', layer.data);
         
         // Wait for image to load before positioning translations
         if (this.pageImage.complete) {
-            this.renderTranslations(translation);
+            this.renderPageTranslations(page);
         } else {
             this.pageImage.addEventListener('load', () => {
-                this.renderTranslations(translation);
+                this.renderPageTranslations(page);
             }, { once: true });
         }
     }
 
-    renderTranslations(mokuroData) {
+    /**
+     * Render the selected layer of a page, with the original text when enabled
+     */
+    renderPageTranslations(page) {
+        const layer = this.getPageTranslation(page);
+        if (!layer) return;
+
+        this.renderTranslations(layer.data, this.settings.showOriginal ? this.getOriginalData(page, layer) : null, page.image);
+    }
+
+    /**
+     * Text to show next to a layer: the default layer when another one is shown
+     * (usually the mokuro OCR), otherwise only the blocks' own original text
+     */
+    getOriginalData(page, layer) {
+        return page.translation && page.translation !== layer ? page.translation.data : null;
+    }
+
+    /**
+     * Render blocks over the page. With originalData (or blocks carrying their
+     * source text) the original is shown under each translation.
+     * image is the page's image record; a downscaled page keeps its original size there.
+     */
+    renderTranslations(mokuroData, originalData = null, image = null) {
         if (!mokuroData || !mokuroData.blocks) return;
         // Safety: remove any prior blocks to avoid duplicates when re-rendering
         this.translationOverlay.querySelectorAll('.translation-block').forEach(el => el.remove());
@@ -588,9 +759,13 @@ class MangaReader {
             blocksCount: mokuroData.blocks.length
         });
         
-        // Calculate scale factors based on how the image is actually displayed
-        const scaleX = imgRect.width / mokuroData.img_width;
-        const scaleY = imgRect.height / mokuroData.img_height;
+        // Calculate scale factors based on how the image is actually displayed.
+        // Boxes are in original pixels: converted translations may lack page dimensions,
+        // then use the size the page had before any downscaling on import.
+        const sourceWidth = mokuroData.img_width || image?.originalWidth || img.naturalWidth;
+        const sourceHeight = mokuroData.img_height || image?.originalHeight || img.naturalHeight;
+        const scaleX = imgRect.width / sourceWidth;
+        const scaleY = imgRect.height / sourceHeight;
         
         // Calculate the offset between the image and the overlay container
         const offsetX = imgRect.left - overlayRect.left;
@@ -770,6 +945,17 @@ class MangaReader {
                 translationEl.textContent = formattedText;
             }
             
+            // Original text side by side, matched by block order
+            if (this.settings.showOriginal) {
+                const original = block.original || originalData?.blocks?.[index]?.lines?.join(' ').trim();
+                if (original && original !== text) {
+                    const originalEl = document.createElement('span');
+                    originalEl.className = 'translation-original';
+                    originalEl.textContent = original;
+                    translationEl.appendChild(originalEl);
+                }
+            }
+            
             // Apply final opacity and ensure the element keeps its shrink-to-fit sizing
             translationEl.style.display = 'inline-block';
             translationEl.style.opacity = this.settings.translationOpacity / 100;
@@ -811,8 +997,8 @@ class MangaReader {
         // Re-render translations if overlay is visible
         if (this.isOverlayVisible) {
             const page = this.files.matched[this.currentPage];
-            if (page && page.hasTranslation) {
-                this.renderTranslations(page.translation.data);
+            if (page) {
+                this.renderPageTranslations(page);
             }
         }
     }
@@ -835,6 +1021,124 @@ class MangaReader {
         DOM.addClass(this.navRight, 'disabled', this.currentPage === this.files.matched.length - 1);
     }
 
+    // ==========================================================================
+    // Chapter Navigation
+    // ==========================================================================
+
+    getChapterIndex(pageIndex = this.currentPage) {
+        if (!this.structure) return -1;
+        
+        const page = this.files.matched[pageIndex];
+        if (page && page.chapterIndex !== undefined) return page.chapterIndex;
+        
+        // Fall back to page ranges
+        return this.structure.chapters.findIndex(chapter =>
+            pageIndex >= chapter.startPage && pageIndex < chapter.startPage + chapter.pageCount
+        );
+    }
+
+    getChapterLabel(chapter) {
+        const volume = this.structure.volumes[chapter.volumeIndex];
+        const chapterLabel = `Chapter ${chapter.number}`;
+        return this.structure.volumes.length > 1 && volume?.title ?
+            `${volume.title} · ${chapterLabel}` : chapterLabel;
+    }
+
+    goToChapter(chapterIndex) {
+        if (!this.structure) return;
+        
+        const chapter = this.structure.chapters[chapterIndex];
+        if (!chapter) return;
+        
+        this.goToPage(chapter.startPage);
+        this.showToast(this.getChapterLabel(chapter));
+    }
+
+    previousChapter() {
+        if (!this.structure) return;
+        
+        const chapterIndex = this.getChapterIndex();
+        const chapter = this.structure.chapters[chapterIndex];
+        
+        // Mid-chapter goes back to the chapter start first
+        if (chapter && this.currentPage > chapter.startPage) {
+            this.goToChapter(chapterIndex);
+        } else if (chapterIndex > 0) {
+            this.goToChapter(chapterIndex - 1);
+        }
+    }
+
+    nextChapter() {
+        if (!this.structure) return;
+        
+        const chapterIndex = this.getChapterIndex();
+        if (chapterIndex < this.structure.chapters.length - 1) {
+            this.goToChapter(chapterIndex + 1);
+        }
+    }
+
+    updateChapterInfo() {
+        DOM.toggle(this.chaptersBtn, !!this.structure);
+        
+        if (!this.structure) {
+            DOM.setText(this.chapterInfo, '');
+            return;
+        }
+        
+        const chapterIndex = this.getChapterIndex();
+        const chapter = this.structure.chapters[chapterIndex];
+        if (!chapter) return;
+        
+        const pageInChapter = this.currentPage - chapter.startPage + 1;
+        DOM.setText(this.chapterInfo, `${this.getChapterLabel(chapter)}, page ${pageInChapter}`);
+        
+        // Highlight current chapter in the list
+        this.chapterList?.querySelectorAll('.chapter-item').forEach(item => {
+            item.classList.toggle('active', parseInt(item.dataset.chapter) === chapterIndex);
+        });
+        
+        this.prevChapterBtn.disabled = chapterIndex === 0 && this.currentPage === chapter.startPage;
+        this.nextChapterBtn.disabled = chapterIndex === this.structure.chapters.length - 1;
+    }
+
+    renderChapterList() {
+        if (!this.chapterList) return;
+        
+        DOM.toggle(this.chaptersBtn, !!this.structure);
+        
+        if (!this.structure) {
+            this.chapterList.innerHTML = '';
+            return;
+        }
+        
+        const html = this.structure.volumes.map(volume => {
+            const heading = this.structure.volumes.length > 1 && volume.title ?
+                `<div class="chapter-volume-title">${StringUtils.escapeHTML(volume.title)}</div>` : '';
+            
+            const items = volume.chapters.map(chapterIndex => {
+                const chapter = this.structure.chapters[chapterIndex];
+                return `
+                    <button class="chapter-item" data-chapter="${chapterIndex}">
+                        <span>Chapter ${chapter.number}${chapter.title ? ` <small>(${StringUtils.escapeHTML(chapter.title)})</small>` : ''}</span>
+                        <span class="chapter-item-pages">${chapter.pageCount} pages</span>
+                    </button>
+                `;
+            }).join('');
+            
+            return heading + items;
+        }).join('');
+        
+        this.chapterList.innerHTML = html;
+    }
+
+    openChapters() {
+        this.chapterPanel?.classList.add('open');
+    }
+
+    closeChapterPanel() {
+        this.chapterPanel?.classList.remove('open');
+    }
+
     // ==========================================================================
     // Translation Overlay
     // ==========================================================================
@@ -856,11 +1160,11 @@ class MangaReader {
         // If showing overlay, render translations for current page
         if (this.isOverlayVisible && this.files?.matched?.[this.currentPage]) {
             const page = this.files.matched[this.currentPage];
-            if (page.hasTranslation && page.translation) {
+            if (this.getPageTranslation(page)) {
                 console.log('Ensuring single render of translations for current page');
                 // Remove any previously rendered translation blocks to avoid duplicates
                 this.translationOverlay.querySelectorAll('.translation-block').forEach(el => el.remove());
-                this.renderTranslations(page.translation.data);
+                this.renderPageTranslations(page);
             }
         }
     }
@@ -1000,7 +1304,10 @@ class MangaReader {
 
     updateSetting(key, value) {
         this.settings[key] = value;
-        storageManager.saveSettings(this.settings);
+        if (key === 'readingDirection') {
+            this.rememberReadingDirection(value);
+        }
+        this.persistSettings();
         this.applySettings();
         console.log('Setting updated:', key, '=', value);
     }
@@ -1008,17 +1315,146 @@ class MangaReader {
     updateOpacity(value) {
         this.settings.translationOpacity = parseInt(value);
         this.opacityValue.textContent = value + '%';
-        storageManager.saveSettings(this.settings);
+        this.persistSettings();
         this.applySettings();
     }
 
     updateTextSize(value) {
         this.settings.textSize = parseInt(value);
         this.textSizeValue.textContent = value + 'px';
-        storageManager.saveSettings(this.settings);
+        this.persistSettings();
         this.applySettings();
     }
 
+    /**
+     * Save settings, keeping a series' own reading direction out of the global one
+     */
+    persistSettings() {
+        storageManager.saveSettings({ ...this.settings, readingDirection: this.defaultReadingDirection });
+    }
+
+    /**
+     * Direction for this series: the reader's choice, then its metadata, then the global setting
+     */
+    getSeriesReadingDirection() {
+        const chosen = this.settings.seriesDirections?.[StringUtils.sanitize(this.seriesName)];
+        return chosen || this.files?.metadata?.readingDirection || this.defaultReadingDirection;
+    }
+
+    /**
+     * Series with a metadata direction remember changes per series; others change the global setting
+     */
+    rememberReadingDirection(direction) {
+        if (this.files?.metadata?.readingDirection) {
+            this.settings.seriesDirections = {
+                ...(this.settings.seriesDirections || {}),
+                [StringUtils.sanitize(this.seriesName)]: direction
+            };
+        } else {
+            this.defaultReadingDirection = direction;
+        }
+    }
+
+    /**
+     * Show volume/number/writer from ComicInfo.xml or mokuro in the header
+     */
+    renderSeriesMetadata() {
+        const metadata = this.files?.metadata;
+        if (!metadata) return;
+
+        if (this.seriesMeta) {
+            this.seriesMeta.textContent = StringUtils.describeMetadata(metadata);
+        }
+
+        const title = [metadata.series, metadata.title].filter(Boolean).join(' — ');
+        if (title && title !== this.seriesName) {
+            this.seriesTitle.title = title;
+        }
+    }
+
+    // ==========================================================================
+    // Translation Layers
+    // ==========================================================================
+
+    /**
+     * Collect the series' layers and fill the language selector.
+     * The default layer is listed when some page has an unsuffixed translation.
+     */
+    setupLanguages() {
+        const matched = this.files?.matched || [];
+        const languages = new Set();
+        let hasDefault = false;
+
+        for (const page of matched) {
+            if (page.translation && !page.translation.language) hasDefault = true;
+            Object.keys(page.layers || {}).forEach(language => languages.add(language));
+        }
+
+        this.availableLanguages = [...(hasDefault || languages.size === 0 ? [''] : []), ...[...languages].sort()];
+        this.currentLanguage = this.availableLanguages.includes(this.settings.translationLanguage) ?
+            this.settings.translationLanguage :
+            this.availableLanguages[0];
+
+        if (this.translationLanguage) {
+            this.translationLanguage.innerHTML = this.availableLanguages
+                .map(language => `<option value="${StringUtils.escapeHTML(language)}">${StringUtils.escapeHTML(StringUtils.describeLanguage(language))}</option>`)
+                .join('');
+            this.translationLanguage.value = this.currentLanguage;
+        }
+        if (this.showOriginal) {
+            this.showOriginal.checked = this.settings.showOriginal;
+        }
+
+        // Translation JSON is loaded per page, so rely on the flag stored with the page list
+        const hasOriginalText = matched.some(page =>
+            page.translation?.hasOriginalText || page.translation?.data?.blocks?.some(block => block.original));
+        DOM.toggle(this.languageSettings, this.availableLanguages.length > 1 || hasOriginalText);
+    }
+
+    /**
+     * The page's translation in the selected layer (null when it has none)
+     */
+    getPageTranslation(page) {
+        if (!page) return null;
+        return this.currentLanguage ?
+            page.layers?.[this.currentLanguage] || null :
+            page.translation || null;
+    }
+
+    /**
+     * Switch layer and remember it as the preferred language
+     */
+    selectLanguage(language) {
+        if (!this.availableLanguages.includes(language)) return;
+
+        this.currentLanguage = language;
+        this.settings.translationLanguage = language;
+        if (this.translationLanguage) {
+            this.translationLanguage.value = language;
+        }
+        this.persistSettings();
+
+        const page = this.files?.matched?.[this.currentPage];
+        if (page) {
+            this.loadPageTranslations(page);
+        }
+    }
+
+    /**
+     * Keyboard shortcut: move to the next layer
+     */
+    cycleLanguage() {
+        if (this.availableLanguages.length < 2) {
+            this.showToast('This series has a single translation layer');
+            return;
+        }
+
+        const index = this.availableLanguages.indexOf(this.currentLanguage);
+        const next = this.availableLanguages[(index + 1) % this.availableLanguages.length];
+        this.selectLanguage(next);
+        this.showToast(`Translation: ${StringUtils.describeLanguage(next)}`);
+    }
+
     applySettings() {
         // Apply reading direction
         this.readerContainer.classList.toggle('rtl', this.settings.readingDirection === 'rtl');
@@ -1032,8 +1468,8 @@ class MangaReader {
         // Re-render translations if visible
         if (this.isOverlayVisible) {
             const page = this.files.matched[this.currentPage];
-            if (page && page.hasTranslation) {
-                this.renderTranslations(page.translation.data);
+            if (page) {
+                this.renderPageTranslations(page);
             }
         }
     }
@@ -1143,8 +1579,8 @@ class MangaReader {
         if (this.isOverlayVisible) {
             setTimeout(() => {
                 const page = this.files.matched[this.currentPage];
-                if (page && page.hasTranslation) {
-                    this.renderTranslations(page.translation.data);
+                if (page) {
+                    this.renderPageTranslations(page);
                 }
             }, 100);
         }
@@ -17,7 +17,11 @@ class StorageManager {
             translationOpacity: 80,
             textSize: 16,
             fitToWidth: true,
-            hideUI: false
+            hideUI: false,
+            pdfResolution: 150,
+            transcodeFormat: '', // '' keeps imported pages as they are
+            transcodeQuality: 80,
+            transcodeMaxHeight: 0
         };
         
         this.init();
@@ -132,6 +136,71 @@ class StorageManager {
         }
     }
 
+    /**
+     * Move progress and recent-series entry from one series name to another
+     */
+    renameSeries(oldName, newName) {
+        if (!oldName || !newName) return false;
+
+        try {
+            const progress = this.getAllProgress();
+            const oldKey = StringUtils.sanitize(oldName);
+            const newKey = StringUtils.sanitize(newName);
+
+            if (progress[oldKey]) {
+                const entry = progress[oldKey];
+                delete progress[oldKey];
+                progress[newKey] = { ...entry, originalName: newName };
+                this.setItem(this.PROGRESS_KEY, JSON.stringify(progress));
+            }
+
+            const recentSeries = this.getRecentSeries().map(series =>
+                series.id === oldKey ? { ...series, id: newKey, name: newName } : series
+            );
+            this.setItem(this.RECENT_SERIES_KEY, JSON.stringify(recentSeries));
+
+            if (this.getCurrentSeries() === oldName) {
+                this.setCurrentSeries(newName);
+            }
+
+            // Reading direction chosen for this series
+            const seriesDirections = { ...(this.settings.seriesDirections || {}) };
+            if (seriesDirections[oldKey]) {
+                seriesDirections[newKey] = seriesDirections[oldKey];
+                delete seriesDirections[oldKey];
+                this.saveSettings({ seriesDirections });
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error renaming series data:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove all progress and recent-series data for a series
+     */
+    removeSeriesData(seriesName) {
+        if (!seriesName) return false;
+
+        this.removeProgress(seriesName);
+        this.removeRecentSeries(seriesName);
+
+        const seriesDirections = { ...(this.settings.seriesDirections || {}) };
+        const key = StringUtils.sanitize(seriesName);
+        if (key in seriesDirections) {
+            delete seriesDirections[key];
+            this.saveSettings({ seriesDirections });
+        }
+
+        if (this.getCurrentSeries() === seriesName) {
+            this.clearCurrentSeries();
+        }
+
+        return true;
+    }
+
     /**
      * Get recent series (sorted by last read time)
      */
@@ -298,6 +367,7 @@ class StorageManager {
                 progress: this.getAllProgress(),
                 settings: this.getSettings(),
                 currentSeries: this.getCurrentSeries(),
+                recentSeries: this.getRecentSeries(),
                 exportDate: Date.now(),
                 version: '1.0'
             };
@@ -308,18 +378,33 @@ class StorageManager {
     }
 
     /**
-     * Import user data from backup
+     * Import user data from backup.
+     * With options.renames (backup series name -> restored name, null when not restored)
+     * progress and history are merged into the current data instead of replacing it.
      */
-    importData(data) {
+    importData(data, options = {}) {
         if (!data || typeof data !== 'object') {
             console.warn('Invalid import data');
             return false;
         }
 
+        const renames = options.renames || null;
+
         try {
             // Import progress
             if (data.progress && typeof data.progress === 'object') {
-                this.setItem(this.PROGRESS_KEY, JSON.stringify(data.progress));
+                const progress = renames ?
+                    this.mergeProgress(data.progress, renames) :
+                    data.progress;
+                this.setItem(this.PROGRESS_KEY, JSON.stringify(progress));
+            }
+
+            // Import reading history
+            if (Array.isArray(data.recentSeries)) {
+                const recentSeries = renames ?
+                    this.mergeRecentSeries(data.recentSeries, renames) :
+                    data.recentSeries;
+                this.setItem(this.RECENT_SERIES_KEY, JSON.stringify(recentSeries));
             }
             
             // Import settings
@@ -328,8 +413,9 @@ class StorageManager {
             }
             
             // Import current series
-            if (data.currentSeries) {
-                this.setCurrentSeries(data.currentSeries);
+            const currentSeries = renames ? renames[data.currentSeries] : data.currentSeries;
+            if (currentSeries) {
+                this.setCurrentSeries(currentSeries);
             }
             
             return true;
@@ -339,6 +425,39 @@ class StorageManager {
         }
     }
 
+    /**
+     * Add backed up progress of restored series to the current progress
+     */
+    mergeProgress(importedProgress, renames) {
+        const progress = this.getAllProgress();
+
+        Object.values(importedProgress).forEach(entry => {
+            const name = renames[entry?.originalName];
+            if (!name) return;
+
+            progress[StringUtils.sanitize(name)] = { ...entry, originalName: name };
+        });
+
+        return progress;
+    }
+
+    /**
+     * Add backed up history of restored series to the current history, newest first
+     */
+    mergeRecentSeries(importedSeries, renames) {
+        const restored = importedSeries
+            .filter(entry => renames[entry?.name])
+            .map(entry => {
+                const name = renames[entry.name];
+                return { ...entry, id: StringUtils.sanitize(name), name: name };
+            });
+        const restoredIds = new Set(restored.map(entry => entry.id));
+
+        return [...this.getRecentSeries().filter(entry => !restoredIds.has(entry.id)), ...restored]
+            .sort((a, b) => (b.addedDate || 0) - (a.addedDate || 0))
+            .slice(0, 10);
+    }
+
     // ==========================================================================
     // Storage Abstraction (handles localStorage fallback)
     // ==========================================================================
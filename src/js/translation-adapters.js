@@ -0,0 +1,164 @@
+/**
+ * Translation Adapters - Convert OCR/translation JSON from other tools
+ * into the mokuro page model the reader renders:
+ *   { img_width, img_height, blocks: [{ box: [x, y, width, height], vertical, font_size, lines, original }] }
+ * Adapters pass corner coordinates to createBlock, which converts them to that box.
+ *
+ * Each adapter has:
+ *   name     - id stored on translation records
+ *   label    - human readable name for reports
+ *   detect   - (data) => true if the JSON is in this format
+ *   convert  - (data) => [{ imgPath, page }], imgPath null for single-page files
+ *              (matched by file name like mokuro JSONs)
+ *
+ * img_width/img_height may be null when a format doesn't record them;
+ * the reader then scales against the image's natural size.
+ */
+
+const TranslationAdapters = {
+    /**
+     * BallonsTranslator project file (imgtrans_*.json):
+     * { directory, pages: { "001.jpg": [{ xyxy, text: [], translation, vertical, font_size }] } }
+     */
+    ballonsTranslator: {
+        name: 'ballons-translator',
+        label: 'BallonsTranslator project',
+
+        detect: (data) => !!data && !Array.isArray(data) &&
+            typeof data.pages === 'object' && data.pages !== null && !Array.isArray(data.pages),
+
+        convert: (data) => Object.entries(data.pages).map(([imgPath, blocks]) => ({
+            imgPath: imgPath,
+            page: {
+                img_width: data.image_info?.[imgPath]?.width || null,
+                img_height: data.image_info?.[imgPath]?.height || null,
+                blocks: (blocks || []).map(block => TranslationAdapters.createBlock(
+                    block.xyxy,
+                    block.translation,
+                    Array.isArray(block.text) ? block.text.join(' ') : block.text,
+                    { vertical: block.vertical, fontSize: block.font_size }
+                ))
+            }
+        }))
+    },
+
+    /**
+     * ImageTrans JSON export:
+     * { images: [{ name, width, height, boxes: [{ geometry: { X, Y, width, height }, text, target }] }] }
+     */
+    imageTrans: {
+        name: 'imagetrans',
+        label: 'ImageTrans export',
+
+        detect: (data) => !!data && Array.isArray(data.images) &&
+            data.images.some(image => Array.isArray(image?.boxes)),
+
+        convert: (data) => data.images.map(image => ({
+            imgPath: image.name || image.filename,
+            page: {
+                img_width: image.width || null,
+                img_height: image.height || null,
+                blocks: (image.boxes || []).map(box => {
+                    const geometry = box.geometry || {};
+                    const x = geometry.X ?? geometry.x ?? 0;
+                    const y = geometry.Y ?? geometry.y ?? 0;
+                    return TranslationAdapters.createBlock(
+                        [x, y, x + (geometry.width || 0), y + (geometry.height || 0)],
+                        box.target ?? box.translation,
+                        box.text ?? box.source,
+                        { vertical: box.vertical }
+                    );
+                })
+            }
+        }))
+    },
+
+    /**
+     * manga-image-translator text regions, either one image
+     * { regions: [...] } or several { "<image path>": { regions: [...] } }.
+     * Regions carry minX/minY/maxX/maxY (or xyxy), text, translation and direction.
+     */
+    mangaImageTranslator: {
+        name: 'manga-image-translator',
+        label: 'manga-image-translator regions',
+
+        detect: (data) => {
+            if (!data || Array.isArray(data) || typeof data !== 'object') return false;
+            if (Array.isArray(data.regions)) return true;
+
+            const values = Object.values(data);
+            return values.length > 0 && values.every(value => Array.isArray(value?.regions));
+        },
+
+        convert: (data) => {
+            const toPage = (entry) => ({
+                img_width: entry.img_width || entry.width || null,
+                img_height: entry.img_height || entry.height || null,
+                blocks: entry.regions.map(region => TranslationAdapters.createBlock(
+                    region.xyxy || [region.minX, region.minY, region.maxX, region.maxY],
+                    region.translation,
+                    region.text,
+                    { vertical: region.direction === 'v' || region.direction === 'vertical', fontSize: region.font_size }
+                ))
+            });
+
+            if (Array.isArray(data.regions)) {
+                return [{ imgPath: null, page: toPage(data) }];
+            }
+
+            return Object.entries(data).map(([imgPath, entry]) => ({
+                imgPath: imgPath,
+                page: toPage(entry)
+            }));
+        }
+    },
+
+    /**
+     * Plain list of boxes for one page: [{ box: [x1, y1, x2, y2], text, original? }]
+     */
+    boxTextList: {
+        name: 'box-text',
+        label: 'Box/text list',
+
+        detect: (data) => Array.isArray(data) && data.length > 0 &&
+            data.every(item => Array.isArray(item?.box) && item.box.length === 4 && typeof item.text === 'string'),
+
+        convert: (data) => [{
+            imgPath: null,
+            page: {
+                img_width: null,
+                img_height: null,
+                blocks: data.map(item => TranslationAdapters.createBlock(
+                    item.box, item.text, item.original, { vertical: item.vertical }
+                ))
+            }
+        }]
+    },
+
+    /**
+     * Build a block in the mokuro model from corners [x1, y1, x2, y2].
+     * The translation becomes the displayed lines; the source text is kept
+     * as original when it differs.
+     */
+    createBlock: (corners, translation, original, options = {}) => {
+        const text = (translation || original || '').trim();
+        const source = (original || '').trim();
+        const [x1, y1, x2, y2] = (corners || [0, 0, 0, 0]).map(value => Number(value) || 0);
+
+        const block = {
+            box: [Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1)],
+            vertical: !!options.vertical,
+            lines: text ? text.split('\n') : []
+        };
+
+        if (options.fontSize) block.font_size = options.fontSize;
+        if (source && source !== text) block.original = source;
+
+        return block;
+    }
+};
+
+// Export for module systems if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranslationAdapters;
+}
@@ -67,7 +67,7 @@ const FileUtils = {
      */
     isImage: (filename) => {
         const ext = filename.toLowerCase().split('.').pop();
-        return ['jpg', 'jpeg', 'png', 'gif', 'webp'].includes(ext);
+        return ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'jxl', 'bmp', 'tif', 'tiff'].includes(ext);
     },
 
     /**
@@ -77,11 +77,26 @@ const FileUtils = {
         return filename.toLowerCase().endsWith('.json');
     },
 
+    /**
+     * Check if file is a single-file mokuro volume
+     */
+    isMokuroVolume: (filename) => {
+        return filename.toLowerCase().endsWith('.mokuro');
+    },
+
     /**
      * Get file base name without extension
      */
     getBaseName: (filename) => {
-        return filename.replace(/\.(jpg|jpeg|png|gif|webp|json)$/i, '');
+        return filename.replace(/\.(jpg|jpeg|png|gif|webp|avif|jxl|bmp|tiff?|json|mokuro)$/i, '');
+    },
+
+    /**
+     * Get directory part of a path ('' for top-level files)
+     */
+    getDirectory: (path) => {
+        const index = path.lastIndexOf('/');
+        return index === -1 ? '' : path.substring(0, index);
     },
 
     /**
@@ -95,6 +110,33 @@ const FileUtils = {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     },
 
+    /**
+     * SHA-256 hex digest of a blob or buffer (null where Web Crypto is unavailable)
+     */
+    hashBlob: async (data) => {
+        if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+
+        const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    },
+
+    /**
+     * Save a blob to disk through a temporary download link
+     */
+    downloadBlob: (blob, filename) => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
     /**
      * Create file object from blob
      */
@@ -118,6 +160,73 @@ const StringUtils = {
         return str.replace(/[^a-zA-Z0-9-_]/g, '_').toLowerCase();
     },
 
+    /**
+     * Escape string for safe insertion into HTML
+     */
+    escapeHTML: (str) => {
+        return String(str ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * One-line summary of series metadata, e.g. "Vol. 3 · #12 · Writer · JA"
+     */
+    describeMetadata: (metadata) => {
+        if (!metadata) return '';
+
+        const parts = [];
+        if (metadata.volume) parts.push(/^\d+$/.test(metadata.volume) ? `Vol. ${metadata.volume}` : metadata.volume);
+        if (metadata.number) parts.push(`#${metadata.number}`);
+        if (metadata.writer) parts.push(metadata.writer);
+        if (metadata.language) parts.push(metadata.language.toUpperCase());
+
+        return parts.join(' · ');
+    },
+
+    /**
+     * Split an archive name into series and volume, e.g.
+     * "One Piece v01 (2003) [Digital].cbz" -> { series: "One Piece", volume: "01" }
+     */
+    parseVolumeName: (filename) => {
+        const name = filename
+            .split('/').pop()
+            .replace(/\.[a-z0-9]+$/i, '')
+            .replace(/\[[^\]]*\]|\([^)]*\)|\{[^}]*\}/g, ' ') // [Group] (2003) {tags}
+            .replace(/_/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        const volumeMatch = name.match(/(?:^|[\s\-.])(?:v|vol|volume|book|ch|chapter|#)\.?\s*(\d+(?:\.\d+)?)\b/i) ||
+            name.match(/[\s\-.](\d{1,4})$/);
+        if (!volumeMatch) {
+            return { series: name, volume: null };
+        }
+
+        return {
+            series: name.substring(0, volumeMatch.index).replace(/[\s\-_.,:]+$/, '').trim() || name,
+            volume: volumeMatch[1]
+        };
+    },
+
+    /**
+     * Display name of a translation language code, e.g. "es" -> "Spanish (es)".
+     * Codes Intl doesn't know (variants like "en-fan") are shown as-is.
+     */
+    describeLanguage: (code) => {
+        if (!code) return 'Default';
+
+        try {
+            const name = new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+            return name && name.toLowerCase() !== code ? `${name} (${code})` : code;
+        } catch (error) {
+            return code;
+        }
+    },
+
     /**
      * Truncate string with ellipsis
      */
@@ -330,9 +439,9 @@ const Progress = {
     },
 
     /**
-     * Show progress section
+     * Show progress section, with a Cancel button when onCancel is given
      */
-    show: (message = 'Processing...') => {
+    show: (message = 'Processing...', onCancel = null) => {
         const progressSection = DOM.get('progress-section');
         const uploadArea = DOM.get('upload-area');
         
@@ -340,6 +449,8 @@ const Progress = {
             DOM.toggle(progressSection, true);
             Progress.update(0, message);
         }
+
+        Progress.setCancelHandler(onCancel);
         
         if (uploadArea) {
             DOM.addClass(uploadArea, 'processing');
@@ -360,6 +471,26 @@ const Progress = {
         if (uploadArea) {
             DOM.removeClass(uploadArea, 'processing');
         }
+
+        Progress.setCancelHandler(null);
+    },
+
+    /**
+     * Bind or clear the Cancel button handler
+     */
+    setCancelHandler: (onCancel) => {
+        const cancelBtn = DOM.get('progress-cancel');
+        if (!cancelBtn) return;
+
+        cancelBtn.disabled = false;
+        cancelBtn.onclick = onCancel ? () => {
+            // Prevent double cancels while the abort settles
+            cancelBtn.disabled = true;
+            DOM.setText(DOM.get('progress-text'), 'Cancelling...');
+            onCancel();
+        } : null;
+
+        DOM.toggle(cancelBtn, !!onCancel);
     }
 };
 